@@ -0,0 +1,107 @@
+// Rule checks for the pure core: plays a few turns on a hand-made day through step() and checks what they did.
+// Exits 1 if any check fails.
+// usage: node rulescheck.js
+var assert = require("assert"),
+    rules = require("./source_uncompressed.js");
+
+// The start, a fruit, a wall, a brown jacket and the exit in a row
+var MAP = [
+    "day: 1",
+    "#######",
+    "#@fwzE#",
+    "#.....#",
+    "#.....#",
+    "#######"
+].join("\n");
+
+function day() {
+    return rules.newDay(rules.newRun(1, {map: MAP}));
+}
+
+// Plays the player's moves, returns the last step's result
+function play(s, moves) {
+    var res = {state: s, events: []};
+    moves.split("").forEach(function(dir) {
+        res = rules.step(res.state, ["p", dir]);
+    });
+    return res;
+}
+
+function types(events) {
+    return events.map(function(e) {
+        return e[0];
+    });
+}
+
+var checks = {
+    "move": function() {
+        var s = day(), res = play(s, "d");
+        assert.deepStrictEqual(res.events, [["move", s.player[0], 0, 0, 0, 1]]);
+        assert.deepStrictEqual(res.state.player.slice(1, 3), [0, 1]);
+        assert.strictEqual(res.state.energy, s.energy - 1);
+        assert.strictEqual(res.state.moves, "d");
+        assert.deepStrictEqual(s.player.slice(1, 3), [0, 0], "step() must not touch the state it is given");
+    },
+    "bump": function() {
+        var s = day(), res = play(s, "l");
+        assert.deepStrictEqual(res.events, [["bump", s.player[0]]]);
+        assert.deepStrictEqual(res.state.player.slice(1, 3), [0, 0]);
+        assert.strictEqual(res.state.energy, s.energy - 1);
+    },
+    "eat": function() {
+        var s = day(), fruit = s.objects.filter(function(o) { return o[3] == "f"; })[0], res = play(s, "r");
+        assert.deepStrictEqual(types(res.events), ["move", "eat"]);
+        assert.strictEqual(res.state.energy, s.energy - 1 + fruit[4]);
+        assert.strictEqual(res.state.stats.food, fruit[4]);
+        assert.ok(!res.state.objects.some(function(o) { return o[0] == fruit[0]; }), "the fruit is gone");
+    },
+    "attack a wall": function() {
+        var res = play(day(), "r");
+        for (var i = 0; i < 20 && res.state.stats.walls == 0; i++) {
+            res = play(res.state, "r");
+            assert.ok(["attack", "bump"].indexOf(res.events[0][0]) >= 0, "a wall is hit, or the player fumbles");
+        }
+        assert.strictEqual(res.state.stats.walls, 1);
+        assert.deepStrictEqual(res.state.player.slice(1, 3), [1, 0], "knocking a wall down takes the turn");
+        assert.deepStrictEqual(play(res.state, "r").state.player.slice(1, 3), [2, 0]);
+    },
+    "attack an enemy": function() {
+        var s = play(day(), "drrr").state, enemy = s.enemies[0], energy = s.energy;
+        assert.deepStrictEqual(s.player.slice(1, 3), [3, 1]);
+        var res = play(s, "u");
+        assert.deepStrictEqual(res.events, [["hit", s.player[0], enemy[0], enemy[10] - 1], ["spot", enemy[0]]]);
+        assert.strictEqual(res.state.energy, energy - 1 - rules.dayRules(s.mode, s.level).attackCost);
+        assert.deepStrictEqual(res.state.player.slice(1, 3), [3, 1], "punching doesn't move the player");
+        for (var i = 1; i < enemy[10]; i++) res = play(res.state, "u");
+        assert.strictEqual(res.state.enemies.length, 0);
+        assert.strictEqual(res.state.stats.kills, 1);
+    },
+    "exit": function() {
+        var res = play(day(), "drrrr");
+        assert.deepStrictEqual(types(res.events), ["move"]);
+        res = play(res.state, "u");
+        assert.deepStrictEqual(types(res.events), ["move", "exit"]);
+        assert.strictEqual(rules.leaveDay(res.state).level, 2);
+    },
+    "bad actions": function() {
+        var s = day();
+        [["p", "x"], ["p", ""], ["p", "5"], ["p", ["l"]], ["x", "l"], ["e", "1"], "pl", null].forEach(function(action) {
+            assert.throws(function() {
+                rules.step(s, action);
+            }, /unknown action/, JSON.stringify(action));
+        });
+    }
+};
+
+var failed = 0;
+Object.keys(checks).forEach(function(name) {
+    try {
+        checks[name]();
+        console.log("ok   " + name);
+    } catch (e) {
+        failed++;
+        console.log("FAIL " + name + ": " + e.message);
+    }
+});
+console.log(failed ? failed + " checks failed" : "all checks passed");
+process.exit(failed ? 1 : 0);
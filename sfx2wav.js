@@ -0,0 +1,36 @@
+// Renders the sfxr sound bank to .wav files
+// usage: node sfx2wav.js [--rate 22050] [--bits 8] [--normalize] [--seed 1] [--out dir] [settings.json]
+// settings.json holds one array of 24 sfxr values, or an array of them.
+// Without it the game's own sounds are rendered, as sfx<n>.wav
+var fs = require("fs"),
+    path = require("path"),
+    game = require("./source_uncompressed.js");
+
+var opts = {seed: 1}, out = ".", file, args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case "--rate":      opts.rate = +args[++i]; break;
+        case "--bits":      opts.bits = +args[++i]; break;
+        case "--seed":      opts.seed = +args[++i]; break;
+        case "--normalize": opts.normalize = true; break;
+        case "--out":       out = args[++i]; break;
+        default:            file = args[i];
+    }
+}
+if (opts.rate !== undefined && !(opts.rate > 0) || [undefined, 8, 16].indexOf(opts.bits) < 0 || isNaN(opts.seed)) {
+    console.error("bad options: rate must be > 0, bits 8 or 16, seed a number");
+    process.exit(1);
+}
+
+var bank = game.sounds, name = "sfx";
+if (file) {
+    bank = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (typeof bank[0] == "number") bank = [bank];
+    name = path.basename(file, ".json");
+}
+if (!fs.existsSync(out)) fs.mkdirSync(out, {recursive: true});
+bank.forEach(function(settings, n) {
+    var f = path.join(out, name + (bank.length > 1 || !file ? n : "") + ".wav");
+    fs.writeFileSync(f, game.renderWave(settings, opts));
+    console.log(f);
+});
@@ -0,0 +1,37 @@
+// Golden-file check for the sfxr renderer: renders the game's sounds with fixed options and compares
+// their SHA-1 against sfxcheck.json. Exits 1 on any difference.
+// usage: node sfxcheck.js [--update]   (--update rewrites sfxcheck.json after an intended change)
+var fs = require("fs"),
+    path = require("path"),
+    crypto = require("crypto"),
+    game = require("./source_uncompressed.js");
+
+var file = path.join(__dirname, "sfxcheck.json"),
+    variants = {
+        "default": {seed: 1},
+        "22050-8-normalized": {seed: 1, rate: 22050, bits: 8, normalize: true}
+    },
+    sums = {};
+
+Object.keys(variants).forEach(function(name) {
+    game.sounds.forEach(function(settings, n) {
+        sums[name + "/sfx" + n] = crypto.createHash("sha1").update(game.renderWave(settings, variants[name])).digest("hex");
+    });
+});
+
+if (process.argv[2] == "--update") {
+    fs.writeFileSync(file, JSON.stringify(sums, null, 2) + "\n");
+    console.log("wrote " + Object.keys(sums).length + " checksums to " + file);
+    process.exit(0);
+}
+
+var golden = JSON.parse(fs.readFileSync(file, "utf8")), failed = 0;
+Object.keys(golden).concat(Object.keys(sums).filter(function(k) {
+    return !(k in golden);
+})).forEach(function(k) {
+    var ok = golden[k] === sums[k];
+    if (!ok) failed++;
+    console.log((ok ? "ok   " : "FAIL ") + k);
+});
+console.log(failed ? failed + " sounds differ from " + file : "all sounds match");
+process.exit(failed ? 1 : 0);
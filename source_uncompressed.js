@@ -106,6 +106,7 @@ function SfxrSynth() {
   //--------------------------------------------------------------------------
 
   this._params = new SfxrParams();  // Params instance
+  this._random = Math.random;       // Noise source, can be swapped for a seeded one
 
   //--------------------------------------------------------------------------
   //
@@ -256,7 +257,7 @@ function SfxrSynth() {
       _phaserBuffer[i] = 0;
     }
     for (var i = _noiseBuffer.length; i--; ) {
-      _noiseBuffer[i] = Math.random() * 2 - 1;
+      _noiseBuffer[i] = this._random() * 2 - 1;
     }
 
     for (var i = 0; i < length; i++) {
@@ -375,7 +376,7 @@ function SfxrSynth() {
           // Generates new random noise for this period
           if (_waveType == 3) {
             for (var n = _noiseBuffer.length; n--; ) {
-              _noiseBuffer[n] = Math.random() * 2 - 1;
+              _noiseBuffer[n] = this._random() * 2 - 1;
             }
           }
         }
@@ -446,53 +447,146 @@ function SfxrSynth() {
 
 // Adapted from http://codebase.es/riffwave/
 var synth = new SfxrSynth();
-// Export for the Closure Compiler
-window['jsfxr'] = function(settings) {
+synth._random = makeRandom(1);
+
+/**
+ * Renders sfxr settings to a complete RIFF/WAVE file
+ * @param settings Array of the 24 sfxr settings values
+ * @param opts Optional: rate (samples per second, 44100), bits (8 or 16),
+ *             normalize (scale the peak to full range), seed (fixed noise seed, for repeatable renders)
+ * @return Uint8Array with the whole file, header included
+ */
+function renderWave(settings, opts) {
+  opts = opts || {};
+  var rate = opts.rate || 44100,
+      bytes = opts.bits == 8 ? 1 : 2;
+  if (opts.seed !== undefined) {
+    synth._random = makeRandom(opts.seed);
+  }
   // Initialize SfxrParams
   synth._params.setSettings(settings);
-  // Synthesize Wave
+  // Synthesize Wave, always at 44.1kHz
   var envelopeFullLength = synth.totalReset();
-  var data = new Uint8Array(((envelopeFullLength + 1) / 2 | 0) * 4 + 44);
-  var used = synth.synthWave(new Uint16Array(data.buffer, 44), envelopeFullLength) * 2;
-  var dv = new Uint32Array(data.buffer, 0, 44);
+  var wave = new Int16Array(envelopeFullLength);
+  var used = synth.synthWave(wave, envelopeFullLength);
+
+  // Resample (linear) to the wanted rate
+  var length = used * rate / 44100 | 0,
+      samples = new Float32Array(length),
+      peak = 0;
+  for (var i = 0; i < length; i++) {
+    var pos = i * 44100 / rate,
+        j = pos | 0,
+        next = j + 1 < used ? wave[j + 1] : wave[j];
+    samples[i] = wave[j] + (next - wave[j]) * (pos - j);
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  var gain = opts.normalize && peak ? 32767 / peak : 1;
+
+  var data = new Uint8Array(44 + length * bytes);
+  var dv = new DataView(data.buffer);
   // Initialize header
-  dv[0] = 0x46464952; // "RIFF"
-  dv[1] = used + 36;  // put total size here
-  dv[2] = 0x45564157; // "WAVE"
-  dv[3] = 0x20746D66; // "fmt "
-  dv[4] = 0x00000010; // size of the following
-  dv[5] = 0x00010001; // Mono: 1 channel, PCM format
-  dv[6] = 0x0000AC44; // 44,100 samples per second
-  dv[7] = 0x00015888; // byte rate: two bytes per sample
-  dv[8] = 0x00100002; // 16 bits per sample, aligned on every two bytes
-  dv[9] = 0x61746164; // "data"
-  dv[10] = used;      // put number of samples here
+  dv.setUint32(0, 0x52494646);                  // "RIFF"
+  dv.setUint32(4, 36 + length * bytes, true);   // put total size here
+  dv.setUint32(8, 0x57415645);                  // "WAVE"
+  dv.setUint32(12, 0x666D7420);                 // "fmt "
+  dv.setUint32(16, 16, true);                   // size of the following
+  dv.setUint16(20, 1, true);                    // PCM format
+  dv.setUint16(22, 1, true);                    // Mono: 1 channel
+  dv.setUint32(24, rate, true);                 // samples per second
+  dv.setUint32(28, rate * bytes, true);         // byte rate
+  dv.setUint16(32, bytes, true);                // block align
+  dv.setUint16(34, bytes * 8, true);            // bits per sample
+  dv.setUint32(36, 0x64617461);                 // "data"
+  dv.setUint32(40, length * bytes, true);       // put number of bytes here
+  for (i = 0; i < length; i++) {
+    var v = Math.max(-32768, Math.min(32767, Math.round(samples[i] * gain)));
+    if (bytes == 1) {
+      data[44 + i] = (v >> 8) + 128; // 8 bit wav is unsigned
+    } else {
+      dv.setInt16(44 + i * 2, v, true);
+    }
+  }
+  return data;
+}
+
+var jsfxr = function(settings) {
+  var data = renderWave(settings);
 
   // Base64 encoding written by me, @maettig
-  used += 44;
   var i = 0,
+      used = data.length,
       base64Characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
-      output = 'data:audio/wav;base64,';
+      output = '';
   for (; i < used; i += 3)
   {
     var a = data[i] << 16 | data[i + 1] << 8 | data[i + 2];
     output += base64Characters[a >> 18] + base64Characters[a >> 12 & 63] + base64Characters[a >> 6 & 63] + base64Characters[a & 63];
   }
-  return output;
+  // padding for the last (incomplete) group
+  if (used % 3) output = output.slice(0, used % 3 - 3) + (used % 3 == 1 ? '==' : '=');
+  return 'data:audio/wav;base64,' + output;
 }
+// Export for the Closure Compiler
+if (typeof window != "undefined") window['jsfxr'] = jsfxr;
 
 // -------------------------------------------------------------------------------
 
+// Mulberry32: tiny seedable PRNG, so a seed always gives back the same boards and rolls.
+// The returned function exposes its internal state through st() to be able to resume it later.
+function makeRandom(seed) {
+    var s = seed >>> 0;
+    var r = function() {
+        s = s + 0x6D2B79F5 | 0;
+        var t = Math.imul(s ^ s >>> 15, 1 | s);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+    r.st = function() {
+        return s >>> 0;
+    };
+    return r;
+}
+
+// Turns any text (or number) into a 32 bit seed
+function hashSeed(str) {
+    str = "" + str;
+    if (/^\d+$/.test(str)) return +str >>> 0;
+    var h = 2166136261;
+    for (var i=0; i<str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+}
+
+// Difficulty asked for in the url (?mode=hard), if it is a known one
+function urlMode() {
+    var m = /[?&]mode=(\w+)/.exec(location.search);
+    return m && difficulty[m[1]] ? m[1] : null;
+}
+
+// Renderer asked for in the url (?renderer=canvas), the DHTML one otherwise
+function urlRenderer() {
+    var m = /[?&]renderer=(\w+)/.exec(location.search);
+    return m && m[1] == "canvas" ? "canvas" : "dhtml";
+}
+
+// Seed asked for in the url (?seed=1234), if any
+function urlSeed() {
+    var m = /[?&]seed=([^&#]+)/.exec(location.search);
+    return m ? hashSeed(decodeURIComponent(m[1])) : null;
+}
+
 function randomRange(min, max) {
-    return Math.floor(Math.random() * (max-min)) + min;
+    return Math.floor(rng() * (max-min)) + min;
 }
 
 function pause(f, d) {
-    setTimeout(f.bind(this), d);
+    setTimeout(f.bind(this), d / gameSpeed); // 0 when INSTANT
 }
 
-function rd(value) {
-    return Math.round(value);
+function speedName(speed) {
+    return speed == INSTANT ? "instant" : "x" + speed;
 }
 
 function css(el, props) {
@@ -526,6 +620,11 @@ var DHTMLSprite = function (params) {
          canim = [],
          dx = 0,
          dy = 0,
+         px = 0, // position on the board, in tiles
+         py = 0,
+         lx = null, // last style written, so unchanged sprites cost nothing
+         ly = null,
+         lf = null,
          ii = 0,
          ci = 0;
      css(el, {
@@ -535,6 +634,7 @@ var DHTMLSprite = function (params) {
          height: h+"px",
          backgroundImage: 'url(' + params.img + ')'
      });
+     el.setAttribute("aria-hidden", "true");
      var that = {
         diff: function(x, y) {
             dx = x;
@@ -544,6 +644,9 @@ var DHTMLSprite = function (params) {
             anims = animsArr;
         },
         dw: function (x, y) {
+            if (x === lx && y === ly) return;
+            lx = x;
+            ly = y;
             st.left = x + 'px';
             st.top = y + 'px';
         },
@@ -552,6 +655,8 @@ var DHTMLSprite = function (params) {
             that.cI(ci);
         },
         cI: function (index) {
+            if (index === lf) return;
+            lf = index;
             index *= w;
             var vOffset = -mF(index / iW) * h;
             var hOffset = -index % iW;
@@ -572,10 +677,135 @@ var DHTMLSprite = function (params) {
             st.display = 'none';
         },
         k: function () {
-            remove(el);
+            if (el.parentNode) remove(el);
+        },
+        rs: function() { // back to a blank sprite on top of the others, for the pool
+            anims = [];
+            canim = [];
+            dx = dy = ii = ci = 0;
+            lx = ly = lf = null;
+            el.innerHTML = "";
+            css(el, {left: "-9999px", display: "block", backgroundImage: 'url(' + params.img + ')', backgroundColor: "", opacity: ""});
+            params.t.appendChild(el);
+        },
+        mv: function(dt, dir) {
+            if (!dt || st.display == 'none') return; // hidden ones don't need their frames
+            that.cI(ci + canim[mF(ii)]);
+            ii += dt/1000 * anims.v;
+            if (ii >= canim.length) {
+                ii = 0;
+            }
+        },
+        v: function() {
+            return anims.v;
+        },
+        dxy: function() {
+            return [dx/500, dy/500];
+        },
+        at: function(x, y) {
+            px = x;
+            py = y;
+        },
+        xy: function() {
+            return [px, py];
+        },
+        tx: function(text, color) { // a letter instead of a tile, for things the sheet has no picture of
+            st.backgroundImage = "none";
+            css(el, {color: color, font: "bold 20px monospace", textAlign: "center", lineHeight: h + "px"});
+            el.innerHTML = text;
+        },
+        sd: function(o) { // a black square over the board, o its opacity
+            st.backgroundImage = "none";
+            st.backgroundColor = "#000";
+            st.opacity = o;
+        }
+     };
+     return that;
+};
+
+// Same contract as DHTMLSprite, but drawn on the canvas of canvasLayer by paintCanvas(), in the order they were made
+var CanvasSprite = function (params) {
+     var w = params.w,
+         h = params.h,
+         iW = params.iW,
+         img = canvasLayer.sheets[params.img],
+         mF = Math.floor,
+         anims = [],
+         canim = [],
+         dx = 0,
+         dy = 0,
+         px = 0,
+         py = 0,
+         x = -9999, // where it's drawn, in pixels
+         y = 0,
+         ii = 0,
+         ci = 0,
+         fi = 0, // frame shown
+         shown = true,
+         text = null, color,
+         shade = null;
+     if (!img) {
+         img = canvasLayer.sheets[params.img] = new Image();
+         img.onload = function() {
+             canvasLayer.dirty = true;
+         };
+         img.src = params.img;
+     }
+     var that = {
+        diff: function(x, y) {
+            dx = x;
+            dy = y;
+        },
+        aA: function(animsArr) {
+            anims = animsArr;
+        },
+        dw: function (nx, ny) {
+            if (nx === x && ny === y) return;
+            x = nx;
+            y = ny;
+            canvasLayer.dirty = true;
+        },
+        bI: function(index) {
+            ci = index;
+            that.cI(ci);
+        },
+        cI: function (index) {
+            if (index === fi) return;
+            fi = index;
+            canvasLayer.dirty = true;
+        },
+        cA: function(anim) {
+            if (anims[anim]) {
+                canim = anims[anim];
+            }
+        },
+        i: function() {
+            return ci;
+        },
+        sh: function () {
+            shown = canvasLayer.dirty = true;
+        },
+        hi: function () {
+            shown = false;
+            canvasLayer.dirty = true;
+        },
+        k: function () {
+            var list = canvasLayer.sprites, n = list.indexOf(that);
+            if (n >= 0) list.splice(n, 1);
+            canvasLayer.dirty = true;
+        },
+        rs: function() {
+            anims = [];
+            canim = [];
+            dx = dy = ii = ci = fi = 0;
+            x = -9999;
+            shown = true;
+            text = shade = null;
+            that.k();
+            canvasLayer.sprites.push(that);
         },
         mv: function(dt, dir) {
-            if (!dt) return;
+            if (!dt || !shown) return;
             that.cI(ci + canim[mF(ii)]);
             ii += dt/1000 * anims.v;
             if (ii >= canim.length) {
@@ -587,21 +817,125 @@ var DHTMLSprite = function (params) {
         },
         dxy: function() {
             return [dx/500, dy/500];
+        },
+        at: function(x, y) {
+            px = x;
+            py = y;
+        },
+        xy: function() {
+            return [px, py];
+        },
+        tx: function(t, c) {
+            text = t;
+            color = c;
+            canvasLayer.dirty = true;
+        },
+        sd: function(o) {
+            shade = o;
+            canvasLayer.dirty = true;
+        },
+        paint: function(ctx) {
+            if (!shown) return;
+            if (shade !== null) {
+                ctx.globalAlpha = shade;
+                ctx.fillStyle = "#000";
+                ctx.fillRect(x, y, w, h);
+                ctx.globalAlpha = 1;
+            } else if (text !== null) {
+                ctx.fillStyle = color;
+                ctx.font = "bold 20px monospace";
+                ctx.textAlign = "center";
+                ctx.textBaseline = "middle";
+                ctx.fillText(text, x + w/2, y + h/2);
+            } else if (img.complete) {
+                var index = fi * w;
+                ctx.drawImage(img, index % iW, mF(index / iW) * h, w, h, x, y, w, h);
+            }
         }
      };
+     canvasLayer.sprites.push(that);
+     canvasLayer.dirty = true;
      return that;
 };
 
-const EPEM     = 0,
-      EEEM      = 1,
-      STS        = 2,
+// Board sprites are recycled from day to day: a freed one leaves the screen and waits in spritePool under its
+// role (tile, thing, char, icon, fog or cell) until takeSprite() resets it and puts it back on top
+function takeSprite(role) {
+    var list = spritePool[role] || (spritePool[role] = []), spr = list.pop();
+    if (spr) {
+        spr.rs();
+    } else {
+        spr = makeSprite(SYS_spriteParams);
+    }
+    spr.role = role;
+    spr.free = false;
+    return spr;
+}
+
+function freeSprite(spr) {
+    if (spr.free) return;
+    spr.free = true;
+    spr.k();
+    spritePool[spr.role].push(spr);
+}
+
+// Every sprite on the board back to the pool
+function releaseSprites() {
+    for (var id in sprites) freeSprite(sprites[id]);
+    sprites = {};
+    detections.forEach(function(d) {
+        freeSprite(d.spr);
+    });
+    detections = [];
+    clearFog();
+}
+
+// Sprites on the board come from the renderer picked at startup; anything elsewhere (the editor palette) is always DHTML
+function makeSprite(params) {
+    return canvasLayer && params.t == screen ? CanvasSprite(params) : DHTMLSprite(params);
+}
+
+// The canvas renderer: one canvas under the score, the screen integer scaled as a whole so pixels stay square
+function makeCanvas() {
+    var el = create("canvas");
+    css(el, {position: "absolute", left: "0px", top: "0px"});
+    el.setAttribute("aria-hidden", "true");
+    canvasLayer = {el: el, ctx: el.getContext("2d"), sprites: [], sheets: {}, scale: 1, dirty: true};
+    screen.appendChild(el);
+    window.addEventListener("resize", scaleCanvas);
+}
+
+function scaleCanvas() {
+    var w = parseInt(screen.style.width) || 320, h = parseInt(screen.style.height) || 320;
+    canvasLayer.scale = Math.max(1, Math.floor(Math.min(window.innerWidth / w, window.innerHeight / h)));
+    // a transform takes no room of its own: the margin keeps the pad and the editor panel below the scaled screen
+    css(screen, {transform: "scale(" + canvasLayer.scale + ")", transformOrigin: "0 0", marginBottom: h * (canvasLayer.scale - 1) + "px"});
+}
+
+// Only when a sprite changed since the last paint
+function paintCanvas() {
+    if (!canvasLayer.dirty) return;
+    canvasLayer.dirty = false;
+    var ctx = canvasLayer.ctx;
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvasLayer.el.width, canvasLayer.el.height);
+    canvasLayer.sprites.forEach(function(spr) {
+        spr.paint(ctx);
+    });
+}
+
+const STS        = 2,
       SP             = 3,
       SS             = 4,
       SI      = 5,
-      EPD         = 6,
       SG            = 7,
-      EWD        = 8,
       SIM          = 9,
+      SM            = 10,
+      SHS          = 11,
+      SK            = 12,
+      SV            = 13,
+      SE            = 14,
+      SA            = 15,
       IL                = 1;
 
 const storyline = [
@@ -645,20 +979,191 @@ var SYS_spriteParams = {
         h: 32,
         iW: 256,
         img: "s3.png",
-        t: $("screen")
+        t: null // the #screen div, set when the page boots
     },
-    columns = 8, rows = 8, level = 2, screen, score, title, oldTime,
+    canvasLayer = null, // {el, ctx, sprites, sheets, scale, dirty} with ?renderer=canvas
+    spritePool = {},
+    screen, score, title, shownTitle = "", oldTime,
+    rng = Math.random, game,
     floorTiles = [31], wallTiles = [25, 26, 27, 28, 29, 30],
     outerWallTiles = [21, 22, 23, 24], foodTiles = [18, 19],
-    enemyTiles = [6, 12], enemyHit = [20, 30], enemyAI = [3, 4],
-    board = [], objects = [], enemies = [], gridPositions = [], player, detection, enemiesToMove = [],
-    initialEnergy = 25, currentEnergy, maxEnergy,
-    isPlayerMoving = false, isPlayerTurn = true, isPlayerDetectedBy = null,
-    isEnemyMoving = false, animating = false, gameIsOver = false,
+    enemyTiles = [6, 12],
+    enemyWallCost = [1, 4], enemyCrowdCost = [4, 2], EXIT_COST = 3,
+    gridPositions = [], sprites = {}, detections = [],
+    isPlayerMoving = false, isPlayerTurn = true, dayCleared = false,
+    animating = false, gameIsOver = false,
+    turnQueue = [], turnRunning = false, turnGen = 0, waits = [], CANCELLED = {}, // see schedule()
     gameState = SIM,
-    FRUIT_ENERGY = 12, SODA_ENERGY = 20,
     soundLib = [],
-    raf = window.requestAnimationFrame;
+    playerAnims = {
+        i: [0, 1, 2, 3, 4, 5],
+        a: [32, 33],
+        d: [38, 39],
+        v: 6
+    },
+    enemyAnims = {
+        i:  [0, 1, 2, 3, 4, 5],
+        a:  [28, 29], // 24, 25
+        v:  4
+    },
+    MAX_LAYOUT_TRIES = 20,
+    ROUTE_FOOD = 8, // food cheapestRoute keeps track of, its work doubles with each one
+    IDLE_FRAME = 66, // ms between frames when nothing moves
+    ENEMY_MEMORY = 3, // turns an enemy keeps heading for where it last saw the player
+    // items, carried in state.items as [kind, uses left]
+    ITEM_KINDS = ["ration", "crowbar", "noisemaker", "flare"], ITEM_COLORS = ["#8c4", "#aaa", "#4ad", "#f63"],
+    INVENTORY_SIZE = 4, CROWBAR_USES = 3, NOISE_RANGE = 8, NOISE_TURNS = 6, FLARE_RANGE = 3, FLARE_TURNS = 2,
+    selectedItem = 0,
+    // fog of war: a shade over every tile, dimmed where the player has been able to see today
+    fog = false, FOG_KEY = "rs13k.fog", PLAYER_SIGHT = 4, FOG_SEEN = .55,
+    fogSprites = {}, seenTiles = {}, visibleNow = {}, fogKey = "", fogHidden = {},
+    mode = "normal", MODES = ["easy", "normal", "hard", "tutorial"],
+    SAFE_ZONE = 2, // nothing is laid out this close to the start tile
+    SAVE_KEY = "rs13k.run", SAVE_VERSION = 10, turnSaved = false, savedRun = null,
+    SCORES_KEY = "rs13k.scores", HS_SIZE = 10, lastRank = -1,
+    replay = null, runIsReplay = false, REPLAY_TAG = "RS13K7",
+    // how fast turns play, INSTANT skips the animations' waits; playSpeed is the player's pick, replays have their own
+    gameSpeed = 1, playSpeed = 1, INSTANT = Infinity, SPEEDS = [1, 2, 4, INSTANT],
+    ACTIONS = ["l", "r", "u", "d", "w", "i", "n", "t", "m", "q"],
+    ACTION_NAMES = ["left", "right", "up", "down", "wait a turn", "use item", "next item", "describe", "music", "restart"],
+    defaultBindings = {37: "l", 65: "l", 39: "r", 68: "r", 38: "u", 87: "u", 40: "d", 83: "d", 32: "w", 190: "w", 69: "i", 81: "n",
+        72: "t", 191: "t", 77: "m", 27: "q"},
+    bindings = defaultBindings, held = {}, queued = "", rebinding = null, padEl, touchStart = [0, 0],
+    KEYS_KEY = "rs13k.keys", PAD_KEY = "rs13k.pad", SWIPE_DISTANCE = 30,
+    editor = null, editorPanel, testing = false,
+    // map character, tile shown and wall tile number; -1 is the select tool
+    EDITOR_PALETTE = [[".", 31], ["#", 21], ["w", 25, 1], ["w", 26, 2], ["w", 27, 3], ["w", 28, 4], ["w", 29, 5], ["w", 30, 6],
+        ["f", 19], ["s", 18], ["z", 6], ["Z", 12], ["E", 20], ["@", 0]],
+    EDITOR_MAX = [16, 12], // columns, rows
+    audio = null, buses = {}, volumes = null, AUDIO_KEY = "rs13k.audio",
+    defaultVolumes = {master: 1, fx: 1, voice: 1, music: .5, mute: 0},
+    VOLUME_BUSES = ["master", "fx", "voice", "music"], VOLUME_NAMES = ["master", "effects", "voice", "music"],
+    raf;
+
+// Difficulty tables, one per mode. Every row applies from its day on and only needs the fields that
+// change, the rest carry over from the rows above. [min, max] ranges are counts for the whole day.
+//   size: [columns, rows] inside the outer walls    energy: to start the run with (first row only)
+//   walls, food, enemies: how many to lay out         kinds: enemy kinds to pick from (0 brown jacket, 1 Zeta)
+//   hit, view: damage and view range of each kind    fruit, soda: energy they give back
+//   health: hit points of each kind                   attackCost: energy a punch costs, on top of the turn
+//   items: how many to lay out (rations, crowbars, noisemakers and flares)
+// More modes can be added with loadDifficulty(). A mode given the name of another plays by that one's table, whatever it becomes.
+var difficulty = {
+    easy: [
+        {day: 1, size: [8, 8], energy: 35, walls: [4, 8], food: [2, 6], enemies: [0, 0], kinds: [0],
+            hit: [10, 20], view: [2, 3], fruit: 15, soda: 25, health: [1, 2], attackCost: 1, items: [1, 2]},
+        {day: 3, enemies: [1, 1]},
+        {day: 6, enemies: [2, 2]},
+        {day: 8, kinds: [0, 1]},
+        {day: 12, size: [10, 8], walls: [5, 11], food: [2, 8], enemies: [3, 3]},
+        {day: 24, size: [12, 10], walls: [9, 18], food: [2, 8], enemies: [4, 4]},
+        {day: 48, enemies: [5, 5]}
+    ],
+    normal: [
+        {day: 1, size: [8, 8], energy: 25, walls: [5, 10], food: [1, 5], enemies: [0, 0], kinds: [0, 1],
+            hit: [20, 30], view: [3, 4], fruit: 12, soda: 20, health: [2, 3], attackCost: 2, items: [0, 1]},
+        {day: 2, enemies: [1, 1]},
+        {day: 4, enemies: [2, 2]},
+        {day: 8, enemies: [3, 3]},
+        {day: 10, size: [10, 8], walls: [7, 13], food: [1, 7]},
+        {day: 16, enemies: [4, 4]},
+        {day: 20, size: [12, 10], walls: [11, 22], food: [1, 8]},
+        {day: 32, enemies: [5, 5]},
+        {day: 64, enemies: [6, 6]}
+    ],
+    hard: [
+        {day: 1, size: [8, 8], energy: 20, walls: [6, 12], food: [1, 4], enemies: [1, 1], kinds: [0, 1],
+            hit: [25, 35], view: [4, 5], fruit: 10, soda: 16, health: [3, 4], attackCost: 3, items: [0, 1]},
+        {day: 3, enemies: [2, 2]},
+        {day: 6, size: [10, 8], walls: [8, 16], food: [1, 5], enemies: [3, 3]},
+        {day: 12, size: [12, 10], walls: [13, 26], food: [1, 6], enemies: [4, 4]},
+        {day: 24, enemies: [5, 6]}
+    ]
+};
+difficulty.tutorial = "normal"; // the tutorial only adds the scripted days of its campaign
+Object.keys(difficulty).forEach(function(name) { // the built-in tables get the same checks
+    if (typeof difficulty[name] != "string") loadDifficulty(name, difficulty[name]);
+});
+
+// Hand-authored days: a few "key: value" header lines, then the board surrounded by its outer walls.
+//   # outer wall (a solid block inside the board)   . floor   w wall   f fruit   s soda
+//   z brown jacket   Z Zeta   @ start   E exit
+// Headers: day (required, the day the map stands for), story (instead of the storyline line) and any number
+// of "set: x,y key=value ..." to change what is at x,y (0,0 is the top left cell inside the outer walls):
+// hp and tile (1 to 6) of a wall, energy of food, hit, view and hp of an enemy. Otherwise those come from the day's rules.
+// Lines starting with ; are comments. Days of a mode without a map are random ones.
+var MAP_TILES = "#.wfszZ@E",
+    MAP_PROPS = {w: ["hp", "tile"], f: ["energy"], s: ["energy"], z: ["hit", "view", "hp"], Z: ["hit", "view", "hp"]},
+    campaigns = {
+        tutorial: [[
+            "day: 1",
+            "story: Scavenge for survival",
+            "##########",
+            "#.....f.E#",
+            "#.w......#",
+            "#...s..w.#",
+            "#.f......#",
+            "#....w.f.#",
+            "#.s......#",
+            "#........#",
+            "#@..f....#",
+            "##########"
+        ], [
+            "day: 2",
+            "story: Oops. I am not alone",
+            "##########",
+            "#......zE#",
+            "#..f.....#",
+            "#....w...#",
+            "#.w...s..#",
+            "#...f..w.#",
+            "#........#",
+            "#.....f..#",
+            "#@.......#",
+            "##########"
+        ], [
+            "day: 3",
+            "story: Obstacles are the key",
+            "##########",
+            "#.Z.....E#",
+            "#........#",
+            "#wwww.ww.#",
+            "#..f.....#",
+            "#.....s..#",
+            "#..w.....#",
+            "#........#",
+            "#@....f..#",
+            "##########"
+        ], [
+            "day: 4",
+            "story: Some of them are short sighted",
+            "##########",
+            "#z......E#",
+            "#........#",
+            "#...ww...#",
+            "#.f.w..s.#",
+            "#...w....#",
+            "#.......z#",
+            "#..f.....#",
+            "#@.......#",
+            "##########"
+        ], [
+            "day: 5",
+            "story: I can destroy obstacles too",
+            "##########",
+            "#...f..wE#",
+            "#......ww#",
+            "#.s......#",
+            "#...z....#",
+            "#ww......#",
+            "#.w...f..#",
+            "#.w......#",
+            "#@w......#",
+            "##########"
+        ]].map(function(lines) {
+            return lines.join("\n");
+        })
+    };
 
 var sounds = [
     [2,0.0266,0.5034,0.5728,0.5999,0.5026,,-0.0108,-0.4073,,,,,0.543,0.7178,0.7558,,0.9082,0.9809,0.1312,-0.4545,0.0055,0.0025,0.4], // 0 - detection
@@ -669,399 +1174,2151 @@ var sounds = [
     [3,0.0171,0.9078,0.3427,0.4125,0.5181,0.0587,-0.1099,0.484,0.0317,0.4421,-0.4199,0.5661,0.049,0.0066,0.2124,-0.8404,-0.1955,0.3985,-0.0415,,0.0212,-0.0439,0.32] // 5 - exit level
 ];
 
+// Web Audio mixer: every effect is decoded once into soundLib, and each play gets its own
+// source node so the same effect can overlap itself. Effects and music go through their own
+// gain bus into the master one; speech can't be routed, the voice level is its utterance volume.
 function initSound() {
+    var Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audio = new Ctx();
+    buses.master = audio.createGain();
+    buses.master.connect(audio.destination);
+    buses.fx = audio.createGain();
+    buses.music = audio.createGain(); // no track yet, "m" mutes whatever gets plugged in here
+    buses.fx.connect(buses.master);
+    buses.music.connect(buses.master);
+    applyVolumes();
     sounds.forEach(function(s, i) {
-        var fx = jsfxr(s);
-        var a = new Audio();
-        a.src = fx;
-        soundLib.push(a);
+        audio.decodeAudioData(renderWave(s).buffer, function(buffer) {
+            soundLib[i] = buffer;
+        }, function() {});
     });
 }
 
-function init() {
-    // Clears our list gridPositions and prepares it to generate a new board.
-    gridPositions = [];
-    for (var x = 1; x < columns-1; x++) {
-        for (var y = 1; y < rows -1; y++) {
-            if (((x == 1 || x == 2) && y == 6) || ((x == 1 || x == 2) && y == 7) || ((x == 0 || x == 1 || x == 2) && y == 5)) continue;
-            gridPositions.push([x, y]);
-        }
-    }
-    board = [];
-    enemies = [];
-    object = [];
-    var childs = $("screen").children;
-    for (x=0, l=childs.length;x<l; x++) {
-        if (childs[x] && childs[x].parentNode) {
-            childs[x].parentNode.removeChild(childs[x]);
-        }
-    }
-    
-    // Generate random background tiles
-    for (var x=-1; x<columns+1; x++) {
-        for (var y=-1; y<rows+1; y++) {
-            var tile = DHTMLSprite(SYS_spriteParams);
-            tile.bI(floorTiles[randomRange(0, floorTiles.length)]);
+function playSound(i) {
+    if (!audio || !soundLib[i]) return;
+    var src = audio.createBufferSource();
+    src.buffer = soundLib[i];
+    src.connect(buses.fx);
+    src.start(0);
+}
 
-            if (x === -1 || x === columns || y === -1 || y === rows) {
-                tile.bI(outerWallTiles[randomRange(0, outerWallTiles.length)]);
-            }
+// Browsers keep the context suspended until the player does something
+function wakeAudio() {
+    if (audio && audio.state == "suspended") audio.resume();
+}
 
-            board.push([tile, x, y, "t"]); // sprite, posX, posY, type: t for tile, e for entity, f for food... 
-        }
-    }
+function busVolume(bus) {
+    return volumes.mute ? 0 : volumes.master * volumes[bus];
+}
 
-    // the exit
-    var exitSprite = DHTMLSprite(SYS_spriteParams);
-    exitSprite.bI(20);
-    board.push([exitSprite, columns-1, 0]);
+function applyVolumes() {
+    if (!audio) return;
+    buses.master.gain.value = volumes.mute ? 0 : volumes.master;
+    buses.fx.gain.value = volumes.fx;
+    buses.music.gain.value = volumes.music;
+}
 
-    // wall tiles
-    objects = layoutObjectsAtRandom(wallTiles, 5, 10, "w");
+function loadVolumes() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(AUDIO_KEY));
+        if (saved && typeof saved == "object") return Object.assign({}, defaultVolumes, saved);
+    } catch (e) {}
+    return Object.assign({}, defaultVolumes);
+}
 
-    // food tiles
-    objects = objects.concat(layoutObjectsAtRandom(foodTiles, 1, 5, "f"));
+function saveVolumes() {
+    applyVolumes();
+    try {
+        localStorage.setItem(AUDIO_KEY, JSON.stringify(volumes));
+    } catch (e) {}
+}
 
-    // enemies
-    var enemyCount = Math.log2(level) | 0;
-    var enemyAnims = {
-        i:  [0, 1, 2, 3, 4, 5],
-        a:  [28, 29], // 24, 25
-        v:  4
+// --------------------------------------------------------------------------------------
+// Game rules: pure functions over a plain JSON state. No DOM, no sprites and no timers
+// in here, so the rules can also run under node (see the exports at the bottom).
+//
+// state: {seed, rng, mode, level, size, columns, rows, energy, maxEnergy, board, objects, enemies, player, items, nextId, stats, moves}
+// mode names the difficulty table. size is a fixed [columns, rows] for every day, or null to follow the table;
+// columns and rows are today's. map is the text of a map played instead of its day, or null.
+// items is the inventory, [kind, uses left] for each item carried, and goes on from day to day.
+// The exit is the "x" entity in board, the player starts in the bottom left corner.
+// Every entity is [id, x, y, type, energy or hitPoints, viewRange, tile]; enemies add [alert, lastSeen, memory, health, stunned]
+// (their [4] is the damage they deal, stunned the turns they'll miss), items on the floor have their ITEM_KINDS index in [4].
+// alert is u unaware, s suspicious, c chasing or l lost track, lastSeen the [x, y] where they last saw the player
+// and memory the turns they will keep looking for it there, health what the player still has to punch out of them.
+// types: t floor or outer wall, o solid block (only in maps), x exit, w wall, f food, i item, e enemy, p player
+//
+// step(state, action) returns {state, events}. Actions are ["p", dir] for the player (dir l, r, u, d,
+// w to wait a turn or 1 to 4 to use that inventory slot) and ["e", id] for an enemy turn, anything else throws. Events tell the front end what to animate, in order:
+//   ["move", id, fromX, fromY, toX, toY], ["bump", id] (lost its turn), ["wait", id],
+//   ["attack", id, targetId, damage dealt or wall hit points left], ["hit", playerId, enemyId, health left],
+//   ["eat", foodId, energy], ["pick", itemId, kind], ["use", playerId, kind, affected enemy ids], ["stunned", enemyId],
+//   ["suspect", enemyId], ["spot", enemyId], ["lose", enemyId], ["exit"]
+
+// opts (all optional): mode, a difficulty table name, size, a fixed [columns, rows] for every day,
+// and map, the text of a map to play on its day (see parseMap)
+function newRun(seed, opts) {
+    opts = opts || {};
+    var runMode = opts.mode || "normal";
+    if (!difficulty[runMode]) throw new Error("unknown mode: " + runMode);
+    var energy = dayRules(runMode, IL).energy;
+    return {
+        seed: seed,
+        rng: seed,
+        mode: runMode,
+        level: IL,
+        size: opts.size || null,
+        map: opts.map || null,
+        columns: 0,
+        rows: 0,
+        energy: energy,
+        maxEnergy: energy,
+        board: [],
+        objects: [],
+        enemies: [],
+        player: null,
+        items: [],
+        nextId: 1,
+        stats: {food: 0, walls: 0, hurt: 0, turns: 0, kills: 0, items: 0},
+        moves: ""
     };
-    enemies = layoutObjectsAtRandom(enemyTiles, enemyCount, enemyCount, "e", enemyAnims);
-
-    var playerSprite = DHTMLSprite(SYS_spriteParams);
-    playerSprite.cI(0);
-    playerSprite.aA({
-        i: [0, 1, 2, 3, 4, 5],
-        a: [32, 33],
-        d: [38, 39],
-        v: 6
-    });
-    playerSprite.cA("i");
-    player = [playerSprite, 0, rows-1, "p"];
+}
 
-    // score
-    screen = $("screen");
-    score = create("div", "score");
-    score.innerHTML = "<p>energy: " + currentEnergy + "</p>";
-    screen.appendChild(score);
-    score.update = function() {
-        score.innerHTML = "<p>energy: " + currentEnergy + "</p>";
-    };
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
 }
 
-// --------------------------------------------------------------------------------------
+function byId(list, id) {
+    for (var i=0; i<list.length; i++) {
+        if (list[i][0] == id) return list[i];
+    }
+}
 
-function drawItem(t) {
-    t[0].dw((t[1]+1)*SYS_spriteParams.w, (t[2]+1)*SYS_spriteParams.h);
+function exitOf(s) {
+    for (var i=0; i<s.board.length; i++) {
+        if (s.board[i][3] === "x") return s.board[i];
+    }
 }
 
-function launchDetectIcon() {
-    var spr = DHTMLSprite(SYS_spriteParams);
-    spr.bI(46);
-    spr.aA({i: [1, 0], v: 8});
-    spr.cA("i");
-    detection = [spr, player[1]+.5, player[2]-.5, "!"];
-    pause(function() {
-        detection[0].k();
-        detection = null;
-    }, 1000);
-    soundLib[0].play();
+// Everything the difficulty table of that mode says about the given day
+function dayRules(mode, level) {
+    var rules = {}, table = difficulty[mode];
+    if (typeof table == "string") table = difficulty[table];
+    table.forEach(function(row) {
+        if (level >= row.day) Object.assign(rules, row);
+    });
+    return rules;
 }
 
-// LayoutObjectAtRandom accepts an array of game objects to choose from 
-// along with a minimum and maximum range for the number of objects to create.
-function layoutObjectsAtRandom(tiles, min, max, type, anims) {
-    var objectCount = randomRange(min, max+1);
-    var destArray = [];
-    for (var i=0; i<objectCount; i++) {
-        (function() {
-            var rndPos = randomPosition();
-            var sprite = DHTMLSprite(SYS_spriteParams);
-            var choice = randomRange(0, tiles.length);
-            var tileChoice = tiles[choice];
-            sprite.bI(tileChoice);
-
-            if (type !== "e") {
-                var t = [sprite, rndPos[0], rndPos[1], type]; // sprite, x, y, type, energy
-                t[4] = 2; // in case is a wall
-                if (type === "f") { // FOOD
-                    if (tileChoice === 19) {
-                        t[4] = FRUIT_ENERGY;
-                    } else {
-                        t[4] = SODA_ENERGY;
-                    }
-                }
-                destArray.push(t);
-            } else { // ENEMIES
-                var ans = Object.assign({}, anims);
-                if (tileChoice == 12) ans.a = [24, 25]; // patch for new spritesheet
-                sprite.aA(ans);
-                sprite.cA("i");
-                var e = [sprite, rndPos[0], rndPos[1], type]; // sprite, x, y, type, hitPoints, viewRange
-                if (tileChoice == 6 || tileChoice == 12) {
-                    e[4] = enemyHit[choice];
-                    e[5]= enemyAI[choice];
-                }
-                e[3] = type;
-                destArray.push(e);
+// Adds (or replaces) the difficulty table of a mode, after checking it: throws on the first problem found
+function loadDifficulty(name, table) {
+    var ranges = ["walls", "food", "enemies", "items"], fields = ranges.concat(["size", "energy", "kinds", "hit", "view", "health", "fruit", "soda", "attackCost"]),
+        isInt = Number.isInteger,
+        fail = function(row, msg) {
+            throw new Error("difficulty " + name + ", day " + row.day + ": " + msg);
+        };
+    if (!Array.isArray(table) || !table.length) throw new Error("difficulty " + name + ": needs at least one row");
+    if (table[0].day !== IL) throw new Error("difficulty " + name + ": the first row must be for day " + IL);
+    table.forEach(function(row, i) {
+        if (i && !(row.day > table[i-1].day)) fail(row, "rows must go by increasing day");
+        for (var f in row) {
+            if (f != "day" && fields.indexOf(f) < 0) fail(row, "unknown field " + f);
+        }
+        if (!i) fields.forEach(function(f) {
+            if (!(f in row)) fail(row, "missing " + f);
+        });
+        ranges.forEach(function(f) {
+            var r = row[f];
+            if (r && !(Array.isArray(r) && isInt(r[0]) && isInt(r[1]) && 0 <= r[0] && r[0] <= r[1])) fail(row, f + " must be a [min, max] range");
+        });
+        if (row.size && !(Array.isArray(row.size) && row.size.length == 2 && row.size.every(function(n) { return isInt(n) && n > 2; }))) {
+            fail(row, "size must be [columns, rows], 3 or more each");
+        }
+        if (row.kinds && !(Array.isArray(row.kinds) && row.kinds.length && row.kinds.every(function(k) { return enemyTiles[k]; }))) {
+            fail(row, "kinds must list enemy kinds, 0 to " + (enemyTiles.length-1));
+        }
+        ["hit", "view", "health"].forEach(function(f) {
+            if (row[f] && !(Array.isArray(row[f]) && row[f].length == enemyTiles.length && row[f].every(isInt))) {
+                fail(row, f + " needs a number for each of the " + enemyTiles.length + " enemy kinds");
             }
-        })();
-    }
-    return destArray;
-};
+        });
+        ["energy", "fruit", "soda"].forEach(function(f) {
+            if (f in row && !(isInt(row[f]) && row[f] > 0)) fail(row, f + " must be a positive number");
+        });
+        if ("attackCost" in row && !(isInt(row.attackCost) && row.attackCost >= 0)) fail(row, "attackCost must be 0 or more");
+        if (row.food && row.food[1] > ROUTE_FOOD) fail(row, "food can't go over " + ROUTE_FOOD + ", checking the day can be won gets too slow");
+    });
+    difficulty[name] = table;
+}
 
-function attemptMove(char, dir) {
-    var destX = char[1];
-    if (dir == "r") {
-        destX++;
-    }
-    if (dir == "l") {
-        destX--;
-    }
-    var destY = char[2];
-    if (dir == "u") {
-        destY--;
+// Lays out the day for state.level
+function newDay(state) {
+    var s = cloneState(state);
+    // Every day gets its own stream derived from the run seed, so "day 7 of seed X" is always the same board
+    rng = makeRandom(s.seed + Math.imul(s.level, 0x9E3779B9));
+    var rules = dayRules(s.mode, s.level), map = s.map && parseMap(s.map);
+    if (!map || map.day != s.level) map = campaignMap(s.mode, s.level);
+    if (map) {
+        mapDay(s, map, rules);
+        if (!cheapestRoute(s, 1)) repairLayout(s, rules); // the energy carried over may fall short of what the author planned
+    } else {
+        randomDay(s, rules);
     }
-    if (dir == "d") {
-        destY++;
+
+    s.board.concat(s.objects, s.enemies, [s.player]).forEach(function(ent) {
+        ent[0] = s.nextId++;
+    });
+    s.rng = rng.st();
+    return s;
+}
+
+function randomDay(s, rules) {
+    var size = s.size || rules.size, columns = s.columns = size[0], rows = s.rows = size[1];
+
+    // Generate random background tiles, with the outer wall ring around them
+    s.board = [];
+    for (var x=-1; x<columns+1; x++) {
+        for (var y=-1; y<rows+1; y++) {
+            var tile = floorTiles[randomRange(0, floorTiles.length)];
+            if (x === -1 || x === columns || y === -1 || y === rows) {
+                tile = outerWallTiles[randomRange(0, outerWallTiles.length)];
+            }
+            s.board.push([0, x, y, "t", 0, 0, tile]);
+        }
     }
 
-    for (var i=0; i<enemies.length; i++) {
-        if (enemies[i][1] == destX && enemies[i][2] == destY && enemies[i][3] !== "f") {
-            return "n";
+    // the exit, in the corner opposite to the start
+    s.board.push([0, columns-1, 0, "x", 0, 0, 20]);
+    s.player = [0, 0, rows-1, "p", 0, 0, 0];
+
+    // walls, food and enemies, checking the day can be won before accepting them
+    var kinds = rules.kinds.map(function(k) {
+        return enemyTiles[k];
+    });
+    for (var tries = 0; ; tries++) {
+        resetGridPositions(s);
+        s.objects = layoutObjectsAtRandom(wallTiles, rules.walls, "w", rules);
+        s.objects = s.objects.concat(layoutObjectsAtRandom(foodTiles, rules.food, "f", rules));
+        s.objects = s.objects.concat(layoutObjectsAtRandom(ITEM_KINDS, rules.items, "i", rules));
+        s.enemies = layoutObjectsAtRandom(kinds, rules.enemies, "e", rules);
+        if (cheapestRoute(s, 1)) break;
+        if (tries == MAX_LAYOUT_TRIES) {
+            repairLayout(s, rules);
+            break;
         }
     }
-    for (var i=0; i<objects.length; i++) {
-        if (objects[i][1] == destX && objects[i][2] == destY) {
-            return objects[i];
+}
+
+// Lays out a day from a parsed map (see parseMap), food and enemy stats still come from the day's rules
+function mapDay(s, map, rules) {
+    var grid = map.grid;
+    s.columns = grid[0].length - 2;
+    s.rows = grid.length - 2;
+    s.board = [];
+    s.objects = [];
+    s.enemies = [];
+    var exit;
+    for (var x=-1; x<s.columns+1; x++) {
+        for (var y=-1; y<s.rows+1; y++) {
+            var c = grid[y+1].charAt(x+1), kind = "zZ".indexOf(c), inside = x >= 0 && y >= 0 && x < s.columns && y < s.rows;
+            s.board.push([0, x, y, c == "#" && inside ? "o" : "t", 0, 0, c == "#" ?
+                outerWallTiles[randomRange(0, outerWallTiles.length)] : floorTiles[randomRange(0, floorTiles.length)]]);
+            if (c == "w") s.objects.push([0, x, y, "w", 2, 0, wallTiles[randomRange(0, wallTiles.length)]]);
+            if (c == "f") s.objects.push([0, x, y, "f", rules.fruit, 0, 19]);
+            if (c == "s") s.objects.push([0, x, y, "f", rules.soda, 0, 18]);
+            if (kind >= 0) s.enemies.push([0, x, y, "e", rules.hit[kind], rules.view[kind], enemyTiles[kind], "u", null, 0, rules.health[kind], 0]);
+            if (c == "@") s.player = [0, x, y, "p", 0, 0, 0];
+            if (c == "E") exit = [0, x, y, "x", 0, 0, 20];
         }
     }
-    if (player[1] == destX && player[2] == destY) return player;
-    return "y";
-};
+    s.board.push(exit);
+
+    map.props.forEach(function(p) {
+        var ent = byPos(s.objects, p.x, p.y) || byPos(s.enemies, p.x, p.y), v = p.values;
+        if (v.hp) ent[ent[3] === "e" ? 10 : 4] = v.hp;
+        if (v.tile) ent[6] = wallTiles[v.tile-1];
+        if (v.energy) ent[4] = v.energy;
+        if (v.hit) ent[4] = v.hit;
+        if (v.view) ent[5] = v.view;
+    });
+}
 
-function damage(entity) {
-    entity[4] --;
-    if (entity[4] == 1) entity[0].cI(entity[0].i() + 15);
-    if (entity[4] <= 0) {
-        entity[3] = "r";
-        entity[0].k();
-        gameCallback(EWD);
+function byPos(list, x, y) {
+    for (var i=0; i<list.length; i++) {
+        if (list[i][1] == x && list[i][2] == y) return list[i];
     }
 }
 
-function doAnimate(char, dir) {
-    animating = true;
+// Solid blocks are board entities, a # inside a map
+function isBlock(s, x, y) {
+    var b = byPos(s.board, x, y);
+    return !!b && b[3] === "o";
+}
 
-    var moveAttempt = attemptMove(char, dir);
-    if (moveAttempt === "n") {
-        endCharacterMove(char);
-        return;
-    } else if (moveAttempt[3] === "w" || moveAttempt[3] === "p") {
-        if (moveAttempt[3] === "p") {
-            moveAttempt[0].cA("d");
-            gameCallback(EPD, char[4]);
-            var forcePlayerIdle = true;
-            soundLib[1].play();
-        }
-        if (moveAttempt[3] === "w") {
-            var r = randomRange(1, 4);
-            if (isPlayerDetectedBy != char && r < 2) {
-                endCharacterMove(char);
-                return;
+// Parses a text map (see campaigns) into {day, story, props, grid}, grid being its rows with the outer walls
+// and props the set headers as {x, y, values, line}. Throws an Error saying what is wrong, and where, with anything else.
+function parseMap(text) {
+    var map = {day: 0, story: null, props: [], grid: []}, at = [], lines = text.replace(/\r/g, "").split("\n"),
+        fail = function(msg, line) {
+            throw new Error("map" + (map.day ? " for day " + map.day : "") + (line ? ", line " + line : "") + ": " + msg);
+        };
+    lines.forEach(function(line, i) {
+        if (!map.grid.length && line.charAt(0) != "#") { // the header
+            if (!line.trim() || line.charAt(0) == ";") return;
+            var h = /^(\w+):\s*(.*?)\s*$/.exec(line);
+            if (!h) fail("expected a 'key: value' header line, or the map starting with #", i+1);
+            if (h[1] == "day") {
+                if (!/^\d+$/.test(h[2]) || +h[2] < IL) fail("day must be a number from " + IL + " on", i+1);
+                map.day = +h[2];
+            } else if (h[1] == "story") {
+                map.story = h[2];
+            } else if (h[1] == "set") {
+                var m = /^(\d+),(\d+)((\s+\w+=\d+)+)$/.exec(h[2]), values = {};
+                if (!m) fail("set needs a position and values, like: set: 2,3 hp=1", i+1);
+                m[3].trim().split(/\s+/).forEach(function(kv) {
+                    kv = kv.split("=");
+                    values[kv[0]] = +kv[1];
+                });
+                map.props.push({x: +m[1], y: +m[2], values: values, line: i+1});
+            } else {
+                fail("unknown header " + h[1] + ", only day, story and set are", i+1);
             }
-            damage(moveAttempt);
-            soundLib[2].play();
+            return;
         }
-        char[0].cA("a");
-        pause(function() {
-            char[0].cA("i");
-            if (forcePlayerIdle) moveAttempt[0].cA("i");
-            endCharacterMove(char);
-        }, 500);
-        return;
+        map.grid.push(line.replace(/\s+$/, ""));
+        at.push(i+1);
+    });
+    while (map.grid.length && !map.grid[map.grid.length-1]) { // blank lines at the end
+        map.grid.pop();
+        at.pop();
     }
 
-    var x = char[1], y = char[2];
-    switch (dir) {
-        case "l":
-            if (char[1] > 0) {
-                x--;
-                char[0].diff(-1, 0);
-                playWalkSound();
-            }
-            break;
-        case "r":
-            if (char[1] < columns-1) {
-                x++;
-                char[0].diff(1, 0);
-                playWalkSound();
-            }
-            break;
-        case "u":
-            if (char[2] > 0) {
-                y--;
-                char[0].diff(0, -1);
-                playWalkSound();
-            }
-            break;
-        case "d":
-            if (char[2] < rows-1) {
-                y++;
-                char[0].diff(0, 1);
-                playWalkSound();
-            }
-            break;
+    if (!map.day) fail("missing the day header");
+    if (!map.grid.length) fail("no map after the header");
+    var grid = map.grid, width = grid[0].length, found = {"@": [], "E": []};
+    if (width < 5 || grid.length < 5) fail("the board needs at least 3x3 cells inside the outer walls");
+    grid.forEach(function(row, y) {
+        if (row.length != width) fail("row is " + row.length + " wide, the first one is " + width, at[y]);
+        for (var x=0; x<width; x++) {
+            var c = row.charAt(x), ring = x == 0 || y == 0 || x == width-1 || y == grid.length-1;
+            if (MAP_TILES.indexOf(c) < 0) fail("unknown tile '" + c + "' at column " + (x+1) + ", use one of " + MAP_TILES, at[y]);
+            if (ring && c != "#") fail("the outer wall (#) must go all around the board, column " + (x+1) + " is '" + c + "'", at[y]);
+            if (found[c]) found[c].push([at[y], x+1]);
+        }
+    });
+    map.props.forEach(function(p) {
+        var c = (grid[p.y+1] || "").charAt(p.x+1), keys = MAP_PROPS[c], where = "set " + p.x + "," + p.y + ": ";
+        if (!keys || p.x+2 >= width || p.y+2 >= grid.length) fail(where + "there is nothing there to set", p.line);
+        for (var k in p.values) {
+            if (keys.indexOf(k) < 0) fail(where + "'" + c + "' has no " + k + ", only " + keys.join(" and "), p.line);
+            if (p.values[k] < 1) fail(where + k + " must be 1 or more", p.line);
+            if (k == "tile" && p.values[k] > wallTiles.length) fail(where + "tile goes from 1 to " + wallTiles.length, p.line);
+        }
+    });
+    [["@", "start"], ["E", "exit"]].forEach(function(f) {
+        var list = found[f[0]];
+        if (!list.length) fail("no " + f[1] + " (" + f[0] + ")");
+        if (list.length > 1) fail("more than one " + f[1] + " (" + f[0] + "), the second at column " + list[1][1], list[1][0]);
+    });
+    // walls and enemies can be dealt with, solid blocks can't
+    var start = found["@"][0], todo = [[start[1]-1, at.indexOf(start[0])]], reached = {};
+    while (todo.length) {
+        var c = todo.pop(), ch = (grid[c[1]] || "").charAt(c[0]);
+        if (!ch || ch == "#" || reached[c]) continue;
+        if (ch == "E") return map;
+        reached[c] = 1;
+        todo.push([c[0]-1, c[1]], [c[0]+1, c[1]], [c[0], c[1]-1], [c[0], c[1]+1]);
     }
-    endCharacterMove(char, x, y);
+    fail("the exit (E) can't be reached from the start");
 }
 
-function playWalkSound() {
-    soundLib[4].play();
+// The hand-authored map for that day of the mode's campaign, parsed, or undefined for a random day
+function campaignMap(mode, level) {
+    return (campaigns[mode] || []).map(parseMap).filter(function(map) {
+        return map.day == level;
+    })[0];
 }
 
-// RandomPosition returns a random position from our list gridPositions.
-function randomPosition() {
-    var randomIndex = randomRange(0, gridPositions.length);
-    var randomPosition = gridPositions.splice(randomIndex, 1)[0];
+// Adds (or replaces) the campaign of a mode after parsing all its maps, throws on the first bad one
+function loadCampaign(mode, texts) {
+    var days = {};
+    if (!difficulty[mode]) throw new Error("unknown mode: " + mode);
+    texts.map(parseMap).forEach(function(map) {
+        if (days[map.day]) throw new Error("two maps for day " + map.day);
+        days[map.day] = 1;
+    });
+    campaigns[mode] = texts;
+}
 
-    return randomPosition;
-};
+// What to say when the day starts: the map's own story, or the usual storyline
+function dayStory(mode, level) {
+    var map = campaignMap(mode, level);
+    return map && map.story !== null ? map.story : storyline[level-1] || "";
+}
 
-function decideMovement(enemy) {
-    // enemy [sprite, x, y, type, hitPoints, viewRange]
-    var options = ["l", "r", "u", "d"];
-    var distanceToPlayer = Math.abs(enemy[1] - player[1]) + Math.abs(enemy[2] - player[2]);
-    var decision = ""; 
+// After the exit: on to the next day, which newDay() will lay out
+function leaveDay(state) {
+    var s = cloneState(state);
+    s.level++;
+    return s;
+}
 
-    if (distanceToPlayer <= enemy[5]) {
-        if (!detection && !isPlayerDetectedBy) {
-            isPlayerDetectedBy = enemy;
-            launchDetectIcon();
-        }
-        if (enemy[2] > player[2]) {
-            decision = "u";
-        } else if (enemy[2] < player[2]) {
-            decision = "d";
-        } 
-        if (decision === "") {
-            if (enemy[1] > player[1]) {
-                decision = "l";
-            } else if (enemy[1] < player[1]) {
-                decision = "r";
-            }
+function isGameOver(state) {
+    return state.energy <= 0;
+}
+
+function step(state, action) {
+    if (!isAction(action)) throw new Error("unknown action: " + JSON.stringify(action));
+    var s = cloneState(state), events = [];
+    rng = makeRandom(s.rng);
+    if (action[0] === "p") {
+        s.moves += action[1];
+        if (action[1] === "w") {
+            events.push(["wait", s.player[0]]);
+        } else if (action[1] >= "1" && action[1] <= "9") {
+            useItem(s, +action[1] - 1, events);
+        } else {
+            moveCharacter(s, s.player, action[1], events);
         }
-    } else { // random decision
-        decision = options[randomRange(0, options.length)];
-        if (isPlayerDetectedBy == enemy) isPlayerDetectedBy = null;
-    }
-    doAnimate(enemy, decision);
-}
-
-function checkCurrentTile() {
-    objects.forEach(function(obj, i) {
-        // sprite, x, y, "f" (type), energy
-        if (obj[1] === player[1] && obj[2] === player[2]) {
-            currentEnergy += obj[4];
-            soundLib[3].play();
-            objects.splice(i, 1);
-            obj[0].k();
-            return false;
+        // every player turn costs a bit of food, whatever happened
+        s.energy--;
+        s.stats.turns++;
+        checkCurrentTile(s, events);
+    } else {
+        var enemy = byId(s.enemies, action[1]);
+        if (enemy && enemy[11] > 0) {
+            enemy[11]--;
+            events.push(["stunned", enemy[0]]);
+        } else if (enemy) {
+            moveCharacter(s, enemy, decideMovement(s, enemy, events), events);
         }
-    });
-    if (player[1] === columns-1 && player[2] === 0) {
-        return true;
     }
+    s.rng = rng.st();
+    return {state: s, events: events};
 }
 
-function checkMaxEnergy() {
-    if (maxEnergy < currentEnergy) maxEnergy = currentEnergy;
+// A bad one would otherwise be played as something else, a move into nowhere being an attack on the player
+function isAction(action) {
+    return Array.isArray(action) && (action[0] === "p" ? typeof action[1] == "string" && /^[lrudw1-4]$/.test(action[1]) :
+        action[0] === "e" && Number.isInteger(action[1]));
 }
 
-function checkGameOver() {
-    if (currentEnergy <= 0) {
-        gameIsOver = true;
-        gameState = SG;
+// Clears our list gridPositions and prepares it to generate a new board:
+// every inner cell but the ones around the player's start
+function resetGridPositions(s) {
+    gridPositions = [];
+    for (var x = 1; x < s.columns-1; x++) {
+        for (var y = 1; y < s.rows-1; y++) {
+            if (Math.abs(x - s.player[1]) <= SAFE_ZONE && Math.abs(y - s.player[2]) <= SAFE_ZONE) continue;
+            gridPositions.push([x, y]);
+        }
+    }
+}
+
+// LayoutObjectAtRandom accepts an array of game objects to choose from 
+// along with a [minimum, maximum] range for the number of objects to create,
+// food energy and enemy stats come from the day's rules. Ids are given by newDay() once the layout is accepted
+function layoutObjectsAtRandom(tiles, range, type, rules) {
+    var objectCount = randomRange(range[0], range[1]+1);
+    // the board may be too small for what the table asks
+    objectCount = Math.min(objectCount, gridPositions.length);
+    var destArray = [];
+    for (var i=0; i<objectCount; i++) {
+        var rndPos = randomPosition();
+        var choice = randomRange(0, tiles.length);
+        var tileChoice = tiles[choice];
+
+        if (type === "i") {
+            destArray.push([0, rndPos[0], rndPos[1], type, choice, 0, 0]); // id, x, y, type, kind
+        } else if (type !== "e") {
+            var t = [0, rndPos[0], rndPos[1], type, 2, 0, tileChoice]; // id, x, y, type, energy, -, tile
+            // 2 hit points in case is a wall
+            if (type === "f") { // FOOD
+                if (tileChoice === 19) {
+                    t[4] = rules.fruit;
+                } else {
+                    t[4] = rules.soda;
+                }
+            }
+            destArray.push(t);
+        } else { // ENEMIES
+            // id, x, y, type, hitPoints, viewRange, tile, alert, lastSeen, memory, health, stunned
+            var kind = enemyTiles.indexOf(tileChoice);
+            destArray.push([0, rndPos[0], rndPos[1], type, rules.hit[kind], rules.view[kind], tileChoice, "u", null, 0, rules.health[kind], 0]);
+        }
+    }
+    return destArray;
+};
+
+// RandomPosition returns a random position from our list gridPositions.
+function randomPosition() {
+    var randomIndex = randomRange(0, gridPositions.length);
+    var randomPosition = gridPositions.splice(randomIndex, 1)[0];
+
+    return randomPosition;
+};
+
+// Cheapest route from the start tile to the exit, measured as the energy left when stepping on it.
+// Walls cost the turns needed to chew through them, enemies the hit they are likely to land on the way,
+// and food gives its energy back only once (eaten food is tracked as a bit mask per visited cell).
+// The search grows with 2^food, so only the ROUTE_FOOD pieces nearest the start count, the rest is plain floor
+// (the route can only come out cheaper than that). loadDifficulty() keeps random days within that.
+// Returns null if there is no route keeping the energy at minEnergy or above, [energyLeft, path] otherwise,
+// path going from the start to the exit as [x, y, energy on stepping there].
+function cheapestRoute(s, minEnergy) {
+    var cost = [], food = [], foodAt = {}, end = -1, exit = exitOf(s), p = s.player, rows = s.rows;
+    for (var x=0; x<s.columns; x++) {
+        cost[x] = [];
+        for (var y=0; y<rows; y++) cost[x][y] = 1;
+    }
+    s.objects.forEach(function(o) {
+        if (o[3] === "w") cost[o[1]][o[2]] = o[4] + 1;
+        if (o[3] === "f") food.push(o);
+    });
+    s.enemies.forEach(function(e) {
+        cost[e[1]][e[2]] = e[4] + 1;
+    });
+    s.board.forEach(function(b) {
+        if (b[1] >= 0 && b[2] >= 0 && b[3] === "o") cost[b[1]][b[2]] = Infinity;
+    });
+    var far = function(f) {
+        return Math.abs(f[1] - p[1]) + Math.abs(f[2] - p[2]);
+    };
+    food = food.slice().sort(function(a, b) {
+        return far(a) - far(b);
+    }).slice(0, ROUTE_FOOD);
+    food.forEach(function(f, i) {
+        foodAt[f[1] + "," + f[2]] = i;
+    });
+
+    // states are cell and eaten food, numbered ((x * rows) + y) * masks + mask
+    var masks = 1 << food.length, size = s.columns * rows * masks,
+        best = new Float64Array(size).fill(-Infinity), from = new Int32Array(size).fill(-1);
+    var start = (p[1] * rows + p[2]) * masks, queue = [start];
+    best[start] = s.energy;
+    // energy gains break Dijkstra, but the grid is tiny: keep relaxing until nothing improves
+    for (var head = 0; head < queue.length; head++) {
+        var q = queue[head], m0 = q % masks, cell = (q - m0) / masks, qx = Math.floor(cell / rows), qy = cell % rows;
+        for (var d = 0; d < 4; d++) {
+            var nx = qx + [-1, 1, 0, 0][d], ny = qy + [0, 0, -1, 1][d], m = m0;
+            if (nx < 0 || ny < 0 || nx >= s.columns || ny >= rows) continue;
+            if (cost[nx][ny] == Infinity) continue; // solid block
+            var en = best[q] - cost[nx][ny], i = foodAt[nx + "," + ny];
+            if (i !== undefined && !(m & 1 << i)) {
+                en += food[i][4];
+                m |= 1 << i;
+            }
+            var n = (nx * rows + ny) * masks + m;
+            if (en < minEnergy || best[n] >= en) continue;
+            best[n] = en;
+            from[n] = q;
+            queue.push(n);
+            if (nx == exit[1] && ny == exit[2] && (end < 0 || best[end] < en)) end = n;
+        }
+    }
+    if (end < 0) return null;
+
+    var path = [];
+    for (var n = end; n >= 0; n = from[n]) {
+        var c = Math.floor(n / masks);
+        path.unshift([Math.floor(c / rows), c % rows, best[n]]);
+    }
+    return [best[end], path];
+}
+
+// For those days the generator (or a map) can't get right by itself: clears walls and enemies along the cheapest
+// route, then while the food still falls short puts a soda where the energy runs out. Should that not do either
+// (food past ROUTE_FOOD isn't counted), the exit comes back to the last cell the energy reaches.
+function repairLayout(s, rules) {
+    var clear = function(c, keepFood) {
+        var off = function(o) {
+            return o[1] != c[0] || o[2] != c[1] || keepFood && o[3] === "f";
+        };
+        s.objects = s.objects.filter(off);
+        s.enemies = s.enemies.filter(off);
+    };
+    cheapestRoute(s, -Infinity)[1].forEach(function(c) {
+        clear(c, true);
+    });
+    for (var tries = 0; !cheapestRoute(s, 1); tries++) {
+        var path = cheapestRoute(s, -Infinity)[1], k = 1;
+        while (path[k][2] >= 1) k++;
+        if (tries == MAX_LAYOUT_TRIES) {
+            var exit = exitOf(s), c = path[Math.max(k-1, 1)];
+            clear(c);
+            exit[1] = c[0];
+            exit[2] = c[1];
+            break;
+        }
+        if (k == path.length-1 && k > 1) k--; // not on the exit itself
+        clear(path[k]);
+        s.objects.push([0, path[k][0], path[k][1], "f", rules.soda, 0, 18]);
+    }
+}
+
+function attemptMove(s, char, dir) {
+    var destX = char[1];
+    if (dir == "r") {
+        destX++;
+    }
+    if (dir == "l") {
+        destX--;
+    }
+    var destY = char[2];
+    if (dir == "u") {
+        destY--;
+    }
+    if (dir == "d") {
+        destY++;
+    }
+
+    for (var i=0; i<s.enemies.length; i++) {
+        if (s.enemies[i][1] == destX && s.enemies[i][2] == destY) {
+            return char[3] === "p" ? s.enemies[i] : "n"; // only the player fights enemies
+        }
+    }
+    for (var i=0; i<s.objects.length; i++) {
+        if (s.objects[i][1] == destX && s.objects[i][2] == destY) {
+            return s.objects[i];
+        }
+    }
+    if (s.player[1] == destX && s.player[2] == destY) return s.player;
+    if (destX < 0 || destY < 0 || destX >= s.columns || destY >= s.rows || isBlock(s, destX, destY)) return "n";
+    return [0, destX, destY]; // free cell
+};
+
+function damage(s, entity, by) {
+    entity[4] --;
+    var crowbar = by == s.player && s.items.filter(function(it) {
+        return it[0] == "crowbar";
+    })[0];
+    if (crowbar && entity[4] > 0) { // one hit is enough with a crowbar, and wears it down
+        entity[4] = 0;
+        if (!--crowbar[1]) s.items.splice(s.items.indexOf(crowbar), 1);
+    }
+    if (entity[4] <= 0) {
+        s.objects.splice(s.objects.indexOf(entity), 1);
+        if (by == s.player) s.stats.walls++;
+    }
+}
+
+// Using an inventory slot: rations are eaten, a noisemaker lures the enemies around to where the player
+// stands now, a flare stuns the enemies in range and sight. Crowbars work by themselves on walls (see damage).
+function useItem(s, slot, events) {
+    var item = s.items[slot], p = s.player, affected = [];
+    if (!item || item[0] == "crowbar") {
+        events.push(["wait", p[0]]);
+        return;
+    }
+    if (item[0] == "ration") {
+        var energy = dayRules(s.mode, s.level).soda;
+        s.energy += energy;
+        s.stats.food += energy;
+    }
+    s.enemies.forEach(function(e) {
+        var d = Math.abs(e[1] - p[1]) + Math.abs(e[2] - p[2]);
+        if (item[0] == "noisemaker" && d <= NOISE_RANGE && e[7] != "c") {
+            e[7] = "s"; // not seen, only heard: they go and have a look
+            e[8] = [p[1], p[2]];
+            e[9] = NOISE_TURNS;
+            affected.push(e[0]);
+        }
+        if (item[0] == "flare" && d <= FLARE_RANGE && lineOfSight(s, p[1], p[2], e[1], e[2])) {
+            e[11] = FLARE_TURNS;
+            affected.push(e[0]);
+        }
+    });
+    s.items.splice(slot, 1);
+    events.push(["use", p[0], item[0], affected]);
+}
+
+// The player hits an enemy: costs energy, wakes it up if it was not chasing yet, and may finish it off
+function punch(s, enemy, events) {
+    s.energy -= dayRules(s.mode, s.level).attackCost;
+    enemy[10]--;
+    events.push(["hit", s.player[0], enemy[0], enemy[10]]);
+    if (enemy[10] <= 0) {
+        s.enemies.splice(s.enemies.indexOf(enemy), 1);
+        s.stats.kills++;
+        return;
+    }
+    if (enemy[7] != "c") {
+        enemy[7] = "c";
+        events.push(["spot", enemy[0]]);
+    }
+    enemy[8] = [s.player[1], s.player[2]];
+    enemy[9] = ENEMY_MEMORY;
+}
+
+function moveCharacter(s, char, dir, events) {
+    var moveAttempt = attemptMove(s, char, dir);
+    if (moveAttempt === "n") {
+        events.push(["bump", char[0]]);
+    } else if (moveAttempt[3] === "e") {
+        punch(s, moveAttempt, events);
+    } else if (moveAttempt[3] === "p") {
+        s.energy -= char[4];
+        s.stats.hurt += char[4];
+        events.push(["attack", char[0], moveAttempt[0], char[4]]);
+    } else if (moveAttempt[3] === "w") {
+        var r = randomRange(1, 4);
+        if (char[7] != "c" && r < 2) { // chasing enemies never give up on a wall
+            events.push(["bump", char[0]]);
+            return;
+        }
+        damage(s, moveAttempt, char);
+        events.push(["attack", char[0], moveAttempt[0], moveAttempt[4]]);
+    } else {
+        events.push(["move", char[0], char[1], char[2], moveAttempt[1], moveAttempt[2]]);
+        char[1] = moveAttempt[1];
+        char[2] = moveAttempt[2];
+    }
+}
+
+// Dijkstra over the board from the enemy to x, y (the player, or where it was last seen), returns the direction of the first step.
+// Entering a cell costs a turn, plus whatever the enemy kind thinks of what is there:
+// brown jackets (tile 6) don't mind bashing through walls but hate crowds, Zetas (tile 12) go around walls.
+function chaseStep(s, enemy, x, y) {
+    var kind = enemyTiles.indexOf(enemy[6]), cost = [], dist = [], from = [], open = [],
+        columns = s.columns, rows = s.rows, exit = exitOf(s);
+    for (var i=0; i<columns*rows; i++) {
+        cost[i] = 1;
+        dist[i] = Infinity;
+    }
+    s.objects.forEach(function(o) {
+        if (o[3] === "w") cost[o[1] + o[2]*columns] += o[4] * enemyWallCost[kind];
+    });
+    s.enemies.forEach(function(e) {
+        if (e != enemy) cost[e[1] + e[2]*columns] += enemyCrowdCost[kind];
+    });
+    s.board.forEach(function(b) {
+        if (b[3] === "o") cost[b[1] + b[2]*columns] = Infinity;
+    });
+    cost[exit[1] + exit[2]*columns] += EXIT_COST;
+
+    var start = enemy[1] + enemy[2]*columns, goal = x + y*columns;
+    dist[start] = 0;
+    open.push(start);
+    while (open.length) {
+        // a hundred-odd cells at most, a linear scan is enough of a priority queue
+        var b = 0;
+        for (i=1; i<open.length; i++) {
+            if (dist[open[i]] < dist[open[b]]) b = i;
+        }
+        var c = open.splice(b, 1)[0];
+        if (c == goal) break;
+        [[-1, 0, "l"], [1, 0, "r"], [0, -1, "u"], [0, 1, "d"]].forEach(function(d) {
+            var x = c % columns + d[0], y = (c / columns | 0) + d[1], n = x + y*columns;
+            if (x < 0 || y < 0 || x >= columns || y >= rows || dist[c] + cost[n] >= dist[n]) return;
+            if (dist[n] == Infinity) open.push(n);
+            dist[n] = dist[c] + cost[n];
+            from[n] = [c, d[2]];
+        });
+    }
+
+    for (var step = from[goal]; step && step[0] != start; step = from[step[0]]);
+    return step ? step[1] : "";
+}
+
+// Walls and solid blocks stop sight, enemies and food don't. Walks the cells between a and b (Bresenham)
+function lineOfSight(s, ax, ay, bx, by) {
+    var dx = Math.abs(bx - ax), dy = -Math.abs(by - ay), sx = ax < bx ? 1 : -1, sy = ay < by ? 1 : -1, err = dx + dy;
+    while (ax != bx || ay != by) {
+        var e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            ax += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            ay += sy;
+        }
+        if (ax == bx && ay == by) break;
+        var o = byPos(s.objects, ax, ay);
+        if (o && o[3] === "w" || isBlock(s, ax, ay)) return false;
+    }
+    return true;
+}
+
+// Tiles the player sees from where it stands, outer walls included, as {"x,y": true}. Only the fog of war uses it
+function visibleTiles(s, radius) {
+    var p = s.player, seen = {};
+    for (var y = -1; y <= s.rows; y++) {
+        for (var x = -1; x <= s.columns; x++) {
+            if (Math.abs(x - p[1]) + Math.abs(y - p[2]) <= radius && lineOfSight(s, p[1], p[2], x, y)) seen[x + "," + y] = true;
+        }
+    }
+    return seen;
+}
+
+function canSee(s, enemy) {
+    var p = s.player;
+    return Math.abs(enemy[1] - p[1]) + Math.abs(enemy[2] - p[2]) <= enemy[5] && lineOfSight(s, enemy[1], enemy[2], p[1], p[2]);
+}
+
+// Alert states: an unaware enemy seeing (or hearing) the player gets suspicious and takes a cautious step towards it,
+// seeing it again means a chase. Out of sight, they head for where they last saw it until their memory runs out,
+// then lose track and go back to wandering.
+function decideMovement(s, enemy, events) {
+    // enemy [id, x, y, type, hitPoints, viewRange, tile, alert, lastSeen, memory, health, stunned]
+    var options = ["l", "r", "u", "d"], p = s.player;
+
+    if (canSee(s, enemy)) {
+        if (enemy[7] == "u") {
+            enemy[7] = "s";
+            events.push(["suspect", enemy[0]]);
+        } else if (enemy[7] != "c") {
+            enemy[7] = "c";
+            events.push(["spot", enemy[0]]);
+        }
+        enemy[8] = [p[1], p[2]];
+        enemy[9] = ENEMY_MEMORY;
+        return chaseStep(s, enemy, p[1], p[2]);
+    }
+    if ((enemy[7] == "c" || enemy[7] == "s") && enemy[9] > 0 && (enemy[1] != enemy[8][0] || enemy[2] != enemy[8][1])) {
+        enemy[9]--;
+        return chaseStep(s, enemy, enemy[8][0], enemy[8][1]);
+    }
+    if (enemy[7] == "c") {
+        enemy[7] = "l";
+        events.push(["lose", enemy[0]]);
+    } else {
+        enemy[7] = "u"; // lost track (or only suspicious) for a turn, now back to wandering
+    }
+    enemy[8] = null;
+    enemy[9] = 0;
+    // random decision
+    return options[randomRange(0, options.length)];
+}
+
+function checkCurrentTile(s, events) {
+    var p = s.player;
+    for (var i=0; i<s.objects.length; i++) {
+        var obj = s.objects[i]; // id, x, y, "f" (type), energy
+        if (obj[3] === "f" && obj[1] === p[1] && obj[2] === p[2]) {
+            s.energy += obj[4];
+            s.stats.food += obj[4];
+            s.objects.splice(i, 1);
+            events.push(["eat", obj[0], obj[4]]);
+            break;
+        }
+        if (obj[3] === "i" && obj[1] === p[1] && obj[2] === p[2] && s.items.length < INVENTORY_SIZE) { // full: it stays there
+            var kind = ITEM_KINDS[obj[4]];
+            s.items.push([kind, kind == "crowbar" ? CROWBAR_USES : 1]);
+            s.stats.items++;
+            s.objects.splice(i, 1);
+            events.push(["pick", obj[0], kind]);
+            break;
+        }
+    }
+    if (s.maxEnergy < s.energy) s.maxEnergy = s.energy;
+    var exit = exitOf(s);
+    if (p[1] === exit[1] && p[2] === exit[2]) {
+        events.push(["exit"]);
+    }
+}
+
+// --------------------------------------------------------------------------------------
+// Event bus: what happens on screen, told to whoever subscribed with on(name, f) (score, audio, speech...).
+// showEvent() turns the rules' events into these, f gets the payload:
+//   moved {id, player, from: [x, y], to: [x, y]}   bumped {id}             turnPlayed {moves}   turnStarted {energy}
+//   ate {id, energy}                               picked {id, kind}       used {kind, affected: [ids]}
+//   wallDamaged {id, by, hitPoints}                wallDestroyed {id, by}
+//   playerHit {by, damage, energy}                 enemyHit {id, health}   enemyKilled {id}   stunned {id}
+//   spotted {id, chase}                            lost {id}
+//   dayStarted {level, story, mode}                dayCleared {level}      died {level, maxEnergy, kills}
+var BUS_EVENTS = ["moved", "bumped", "turnPlayed", "turnStarted", "ate", "picked", "used", "wallDamaged", "wallDestroyed", "playerHit",
+        "enemyHit", "enemyKilled", "stunned", "spotted", "lost", "dayStarted", "dayCleared", "died"],
+    listeners = {};
+
+function busEvent(name) {
+    if (BUS_EVENTS.indexOf(name) < 0) throw new Error("unknown event " + name);
+    return listeners[name] || (listeners[name] = []);
+}
+
+function on(name, f) {
+    busEvent(name).push(f);
+}
+
+function off(name, f) {
+    var list = busEvent(name), i = list.indexOf(f);
+    if (i >= 0) list.splice(i, 1);
+}
+
+// A failing subscriber is reported on its own, the others and the turn playing the event go on
+function emit(name, payload) {
+    busEvent(name).slice().forEach(function(f) {
+        try {
+            f(payload);
+        } catch (e) {
+            setTimeout(function() {
+                throw e;
+            });
+        }
+    });
+}
+
+// The game's own subscribers, hooked once at boot
+function hookEvents() {
+    var sfx = {moved: 4, playerHit: 1, wallDamaged: 2, wallDestroyed: 2, enemyHit: 2, ate: 3, picked: 3, dayCleared: 5};
+    Object.keys(sfx).forEach(function(name) {
+        on(name, function() {
+            playSound(sfx[name]);
+        });
+    });
+    on("used", function(e) {
+        playSound(e.kind == "flare" ? 5 : e.kind == "noisemaker" ? 0 : 3);
+    });
+    on("spotted", function(e) {
+        launchDetectIcon(e.id, e.chase);
+        if (e.chase) playSound(0);
+    });
+    ["turnPlayed", "ate", "picked", "used", "playerHit", "wallDamaged", "wallDestroyed", "enemyHit"].forEach(function(name) {
+        on(name, function() {
+            if (score) score.update();
+        });
+    });
+    on("dayStarted", speakDay);
+}
+
+function speakDay(e) {
+    pause(function() {
+        say("Day " + e.level + ". " + e.story, 0.5, 0.8);
+    }, 500);
+}
+
+// https://developer.mozilla.org/en-US/docs/Web/API/SpeechSynthesis
+function say(text, pitch, rate) {
+    var synth = window.speechSynthesis;
+    if (!synth) return;
+    var voices = synth.getVoices();
+    var selected = 0;
+    voices.forEach(function(v, i) {
+        if (v.lang.indexOf("en") >= 0 && v.name == "Google UK English Male") {
+            selected = i;
+        }
+    });
+    var utter = new SpeechSynthesisUtterance(text);
+    utter.voice = voices[selected];  // 9 es graciosa
+    utter.pitch = pitch;
+    utter.rate = rate;
+    utter.volume = busVolume("voice");
+    synth.speak(utter);
+}
+
+// --------------------------------------------------------------------------------------
+// DHTML front end: sprites for the state in `game`, animating the events the rules return
+
+// Builds every sprite for the current day of `game`
+function init() {
+    cancelTurns();
+    releaseSprites();
+    clearScreen();
+    fitScreen(game.columns, game.rows);
+    game.board.concat(game.objects, game.enemies, [game.player]).forEach(spawn);
+    makeFog();
+    makeScore();
+}
+
+// One shade per tile, over everything else on the board. Everything starts black but for what the player sees
+function makeFog() {
+    clearFog();
+    if (!fog) return;
+    for (var y = -1; y <= game.rows; y++) {
+        for (var x = -1; x <= game.columns; x++) {
+            var spr = takeSprite("fog");
+            spr.sd(1);
+            spr.at(x, y);
+            drawItem(spr);
+            fogSprites[x + "," + y] = spr;
+        }
+    }
+}
+
+function clearFog() {
+    for (var k in fogSprites) freeSprite(fogSprites[k]);
+    fogSprites = {};
+    seenTiles = {};
+    visibleNow = {};
+    fogHidden = {};
+    fogKey = "";
+}
+
+// Lifts the fog around the player when it moves or a wall falls; enemies out of sight are hidden
+// (only when that changes, so their hurt blinks still show)
+function updateFog() {
+    var key = game.player[1] + "," + game.player[2] + ":" + game.objects.length;
+    if (key != fogKey) {
+        fogKey = key;
+        visibleNow = visibleTiles(game, PLAYER_SIGHT);
+        for (var k in fogSprites) {
+            if (visibleNow[k]) seenTiles[k] = true;
+            fogSprites[k].sd(visibleNow[k] ? 0 : seenTiles[k] ? FOG_SEEN : 1);
+        }
+    }
+    game.enemies.forEach(function(e) {
+        var spr = sprites[e[0]];
+        if (!spr) return;
+        var p = spr.xy(), hide = !visibleNow[Math.round(p[0]) + "," + Math.round(p[1])];
+        if (hide == !!fogHidden[e[0]]) return;
+        fogHidden[e[0]] = hide;
+        if (hide) spr.hi(); else spr.sh();
+    });
+}
+
+function loadFog() {
+    try {
+        return localStorage.getItem(FOG_KEY) == "1";
+    } catch (e) {
+        return false;
+    }
+}
+
+function switchFog() {
+    fog = !fog;
+    try {
+        localStorage.setItem(FOG_KEY, fog ? "1" : "0");
+    } catch (e) {}
+}
+
+// The screen (and the title, so they don't jump) grows with the day's board plus its outer walls
+function fitScreen(columns, rows) {
+    var size = {
+        width: (columns+2) * SYS_spriteParams.w + "px",
+        height: (rows+2) * SYS_spriteParams.h + "px"
+    };
+    css($("screen"), size);
+    css(title, size);
+    if (canvasLayer) {
+        canvasLayer.el.width = (columns+2) * SYS_spriteParams.w;
+        canvasLayer.el.height = (rows+2) * SYS_spriteParams.h;
+        canvasLayer.dirty = true;
+        scaleCanvas();
+    }
+}
+
+// Title screens are redrawn every frame: only touch the DOM (and what screen readers announce) on a change
+function showTitle(html) {
+    if (html == shownTitle) return;
+    shownTitle = html;
+    title.innerHTML = html;
+}
+
+// Empties the screen for good (sprites have gone back to the pool first, see init)
+function clearScreen() {
+    while (screen.firstChild) screen.removeChild(screen.firstChild);
+    if (canvasLayer) {
+        canvasLayer.sprites = [];
+        canvasLayer.dirty = true;
+        screen.appendChild(canvasLayer.el);
+    }
+}
+
+function spawn(ent) {
+    var sprite = takeSprite({e: "char", p: "char", w: "thing", f: "thing", i: "thing"}[ent[3]] || "tile");
+    sprite.bI(ent[6]);
+    if (ent[3] === "e") {
+        var ans = Object.assign({}, enemyAnims);
+        if (ent[6] == 12) ans.a = [24, 25]; // patch for new spritesheet
+        sprite.aA(ans);
+        sprite.cA("i");
+    }
+    if (ent[3] === "p") {
+        sprite.aA(playerAnims);
+        sprite.cA("i");
+    }
+    if (ent[3] === "w" && ent[4] == 1) sprite.cI(ent[6] + 15); // damaged wall
+    if (ent[3] === "i") sprite.tx(ITEM_KINDS[ent[4]].charAt(0).toUpperCase(), ITEM_COLORS[ent[4]]);
+    sprite.at(ent[1], ent[2]);
+    drawItem(sprite); // only characters move, drawLoop() redraws them alone
+    sprites[ent[0]] = sprite;
+}
+
+// Carried items by their initial, the selected one (what "use item" uses) in yellow; crowbars show their uses left
+function inventory() {
+    selectedItem = Math.min(selectedItem, Math.max(0, game.items.length - 1));
+    return game.items.map(function(it, i) {
+        var k = ITEM_KINDS.indexOf(it[0]);
+        return "<span style='color:" + (i == selectedItem ? "#fd0" : ITEM_COLORS[k]) + "'>" +
+            (i == selectedItem ? "[" : "") + it[0].charAt(0).toUpperCase() + (it[0] == "crowbar" ? it[1] : "") + (i == selectedItem ? "]" : "") + "</span> ";
+    }).join("") + (game.items.length ? "- " : "");
+}
+
+function makeScore() {
+    screen = $("screen");
+    score = create("div", "score");
+    css(score, {width: screen.style.width, height: screen.style.height});
+    score.setAttribute("role", "status");
+    score.setAttribute("aria-live", "polite");
+    screen.appendChild(score);
+    score.update = function() {
+        // bottom right corner, over the outer wall; screen readers get it in words
+        var items = game.items.map(function(it, i) {
+            return it[0] + (it[0] == "crowbar" ? " " + it[1] + " uses" : "") + (i == selectedItem ? " selected" : "");
+        });
+        var html = "<p aria-hidden='true' style='top:" + ((game.rows+2) * SYS_spriteParams.h - 23) + "px'>" + (replay ? "replay " + speedName(gameSpeed) + " - " : gameSpeed != 1 ? speedName(gameSpeed) + " - " : "") +
+            inventory() + "energy: " + game.energy + "</p><span style='" + hiddenText() + "'>Energy " + game.energy + (items.length ? ". Carrying " + items.join(", ") : "") + "</span>";
+        if (html == score.shown) return; // unchanged, nothing new to announce
+        score.shown = html;
+        score.innerHTML = html;
+    };
+    score.update();
+}
+
+// --------------------------------------------------------------------------------------
+// Save & resume: the whole run state goes to localStorage as a versioned JSON snapshot
+
+// Bump SAVE_VERSION whenever the state layout changes, older snapshots get discarded
+function saveRun() {
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(Object.assign({v: SAVE_VERSION}, game)));
+    } catch (e) {} // storage full or disabled: just play without autosave
+}
+
+function clearRun() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (e) {}
+}
+
+// Returns the stored snapshot, or null (discarding it) when missing, corrupt or from another version
+function loadRun() {
+    try {
+        var snap = JSON.parse(localStorage.getItem(SAVE_KEY));
+        if (snap && snap.v === SAVE_VERSION && isValidSnapshot(snap)) {
+            delete snap.v;
+            return snap;
+        }
+    } catch (e) {}
+    clearRun();
+    return null;
+}
+
+function isValidSnapshot(snap) {
+    var isInt = Number.isInteger,
+        isEntity = function(types, margin) {
+            return function(o) {
+                return Array.isArray(o) && isInt(o[0]) && isInt(o[1]) && isInt(o[2]) &&
+                    o[1] >= -margin && o[2] >= -margin && o[1] < snap.columns+margin && o[2] < snap.rows+margin &&
+                    types.indexOf(o[3]) >= 0 && isInt(o[4]) && isInt(o[5]) && isInt(o[6]);
+            };
+        },
+        isSpot = function(o) {
+            return Array.isArray(o) && o.length == 2 && o.every(isInt);
+        },
+        // the map is laid out again on the next day, it has to parse
+        isMap = function(text) {
+            try {
+                return typeof text == "string" && !!parseMap(text);
+            } catch (e) {
+                return false;
+            }
+        },
+        // alert state, last known player spot, turns left to remember it, health, stunned turns
+        isAlert = function(e) {
+            return ["u", "s", "c", "l"].indexOf(e[7]) >= 0 && (e[8] === null || isSpot(e[8])) &&
+                isInt(e[9]) && e[9] >= 0 && isInt(e[10]) && e[10] >= 1 && isInt(e[11]) && e[11] >= 0;
+        };
+    return isInt(snap.seed) && isInt(snap.rng) && !!difficulty[snap.mode] && isInt(snap.level) && snap.level >= IL &&
+        isInt(snap.columns) && snap.columns > 2 && isInt(snap.rows) && snap.rows > 2 &&
+        (snap.size === null || isSpot(snap.size)) &&
+        isInt(snap.energy) && snap.energy > 0 && isInt(snap.maxEnergy) &&
+        isInt(snap.nextId) &&
+        Array.isArray(snap.board) && snap.board.every(isEntity(["t", "o", "x"], 1)) &&
+        snap.board.filter(function(o) { return o[3] == "x"; }).length == 1 &&
+        (snap.map === null || isMap(snap.map)) &&
+        Array.isArray(snap.objects) && snap.objects.every(isEntity(["w", "f", "i"], 0)) &&
+        Array.isArray(snap.items) && snap.items.length <= INVENTORY_SIZE && snap.items.every(function(it) {
+            return Array.isArray(it) && ITEM_KINDS.indexOf(it[0]) >= 0 && isInt(it[1]) && it[1] > 0;
+        }) &&
+        Array.isArray(snap.enemies) && snap.enemies.every(isEntity(["e"], 0)) && snap.enemies.every(isAlert) &&
+        isEntity(["p"], 0)(snap.player) &&
+        !!snap.stats && ["food", "walls", "hurt", "turns", "kills", "items"].every(function(k) {
+            return isInt(snap.stats[k]);
+        }) &&
+        typeof snap.moves == "string" && /^[lrudw1-4]*$/.test(snap.moves);
+}
+
+// --------------------------------------------------------------------------------------
+// Hall of fame: best HS_SIZE runs, kept in localStorage
+
+function loadScores() {
+    try {
+        var list = JSON.parse(localStorage.getItem(SCORES_KEY));
+        if (Array.isArray(list)) return list.filter(isValidScore);
+    } catch (e) {}
+    return [];
+}
+
+// Whatever scoresTable() shows has to be there, kills and mode came later and older entries go without them
+function isValidScore(r) {
+    var isInt = Number.isInteger;
+    return !!r && ["days", "peak", "food", "walls", "hurt", "turns"].every(function(k) {
+            return isInt(r[k]);
+        }) &&
+        (r.kills === undefined || isInt(r.kills)) && (r.mode === undefined || typeof r.mode == "string") &&
+        typeof r.date == "string";
+}
+
+// Stores the run that just ended, returns its rank or -1 if it didn't make it to the table
+function recordScore() {
+    var list = loadScores(),
+        entry = {
+            days: game.level,
+            peak: game.maxEnergy,
+            food: game.stats.food,
+            walls: game.stats.walls,
+            hurt: game.stats.hurt,
+            turns: game.stats.turns,
+            kills: game.stats.kills,
+            mode: game.mode,
+            date: new Date().toISOString().slice(0, 10)
+        };
+    list.push(entry);
+    list.sort(function(a, b) {
+        return b.days - a.days || b.peak - a.peak;
+    });
+    list = list.slice(0, HS_SIZE);
+    try {
+        localStorage.setItem(SCORES_KEY, JSON.stringify(list));
+    } catch (e) {}
+    return list.indexOf(entry);
+}
+
+function pad(v, n) {
+    v = "" + v;
+    while (v.length < n) v = " " + v;
+    return v;
+}
+
+function scoresTable() {
+    var rows = loadScores().map(function(r, i) {
+        var line = pad(i+1, 2) + pad(r.days, 4) + pad(r.peak, 5) + pad(r.food, 5) + pad(r.walls, 5) + pad(r.hurt, 5) + pad(r.turns, 5) + pad(r.kills || 0, 5) + " " + r.date.slice(5) +
+            (r.mode && r.mode != "normal" ? " " + r.mode : "");
+        return i == lastRank ? "<span style='color:#fd0'>" + line + "</span>" : line;
+    });
+    return "<p class='small' style='top:20px;font-size:11px;line-height:18px;white-space:pre;text-align:left;padding-left:8px'>" +
+        "HALL OF FAME\n\n #  day peak food wall hurt turn kill date\n" + (rows.join("\n") || "  nobody survived yet") + "\n\n  press any key</p>";
+}
+
+// --------------------------------------------------------------------------------------
+// Narration, for players who can't see the board: every turn told in an aria-live region, and spoken too if
+// asked for. L on the title screen goes through off, text and text with speech (kept under NARRATE_KEY).
+
+var narration = 0, NARRATE_KEY = "rs13k.narrate", NARRATION_NAMES = ["off", "text", "speech"],
+    liveRegion = null, LIVE_LINES = 6, routeCache = {key: "", text: ""},
+    DIRS = [["l", "left", -1, 0], ["r", "right", 1, 0], ["u", "up", 0, -1], ["d", "down", 0, 1]];
+
+// Out of sight, but read by screen readers
+function hiddenText() {
+    return "position:absolute;left:-9999px;width:1px;height:1px;overflow:hidden";
+}
+
+function makeLiveRegion() {
+    liveRegion = create("div", "narration");
+    liveRegion.setAttribute("role", "log");
+    liveRegion.setAttribute("aria-live", "polite");
+    liveRegion.style.cssText = hiddenText();
+    $("wrapper").appendChild(liveRegion);
+}
+
+function loadNarration() {
+    try {
+        return +localStorage.getItem(NARRATE_KEY) || 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+function switchNarration() {
+    narration = (narration + 1) % NARRATION_NAMES.length;
+    try {
+        localStorage.setItem(NARRATE_KEY, narration);
+    } catch (e) {}
+    narrate("Narration " + NARRATION_NAMES[narration]);
+}
+
+// force: told even with narration off, when the player asked for it
+function narrate(text, force) {
+    if (!narration && !force || !liveRegion) return;
+    var line = create("p");
+    line.textContent = text;
+    liveRegion.appendChild(line);
+    while (liveRegion.children.length > LIVE_LINES) liveRegion.removeChild(liveRegion.firstChild);
+    if (narration == 2) say(text, 1, 1);
+}
+
+function enemyName(e) {
+    return e[6] == enemyTiles[1] ? "Zeta zombie" : "zombie";
+}
+
+// What a player would see on a tile
+function whatIsAt(s, x, y) {
+    var exit = exitOf(s), e = byPos(s.enemies, x, y), o = byPos(s.objects, x, y);
+    if (x < 0 || y < 0 || x >= s.columns || y >= s.rows) return "outer wall";
+    if (isBlock(s, x, y)) return "rock";
+    if (e) return enemyName(e);
+    if (o && o[3] === "w") return o[4] > 1 ? "wall" : "cracked wall";
+    if (o && o[3] === "f") return o[6] == foodTiles[0] ? "soda" : "food";
+    if (o && o[3] === "i") return ITEM_KINDS[o[4]];
+    if (x == exit[1] && y == exit[2]) return "exit";
+    return "clear";
+}
+
+function surroundings(s) {
+    var p = s.player;
+    return DIRS.map(function(d) {
+        return d[1] + " " + whatIsAt(s, p[1] + d[2], p[2] + d[3]);
+    }).join(", ");
+}
+
+// "2 left and 1 up" from the player
+function whereFrom(s, x, y) {
+    var dx = x - s.player[1], dy = y - s.player[2], parts = [];
+    if (dx) parts.push(Math.abs(dx) + (dx < 0 ? " left" : " right"));
+    if (dy) parts.push(Math.abs(dy) + (dy < 0 ? " up" : " down"));
+    return parts.join(" and ") || "here";
+}
+
+// The cheapest way to the exit (walls and zombies included), as runs of steps: "Exit: 3 right, 2 up".
+// Worked out once per turn however often the describe key is pressed
+function routeText(s) {
+    var key = [s.seed, s.level, s.moves.length].join(":");
+    if (routeCache.key != key) routeCache = {key: key, text: describeRoute(cheapestRoute(s, -Infinity))};
+    return routeCache.text;
+}
+
+function describeRoute(route) {
+    if (!route) return "No way to the exit";
+    var runs = [];
+    for (var i = 1; i < route[1].length; i++) {
+        var a = route[1][i-1], b = route[1][i], d = DIRS.filter(function(d) {
+            return d[2] == b[0] - a[0] && d[3] == b[1] - a[1];
+        })[0];
+        if (runs.length && runs[runs.length-1][1] == d[1]) {
+            runs[runs.length-1][0]++;
+        } else {
+            runs.push([1, d[1]]);
+        }
+    }
+    return "Exit: " + (runs.map(function(r) {
+        return r[0] + " " + r[1];
+    }).join(", ") || "you are on it");
+}
+
+// The describe key: where everything around is and the way out
+function describe() {
+    var s = game, seen = s.enemies.map(function(e) {
+        return enemyName(e) + " " + whereFrom(s, e[1], e[2]);
+    });
+    narrate("Day " + s.level + ", " + s.energy + " energy. " + surroundings(s) + ". " +
+        (seen.length ? seen.join(", ") : "no zombies") + ". " + routeText(s) + ".", true);
+}
+
+function hookNarration() {
+    var isPlayer = function(id) {
+        return game && id == game.player[0];
+    };
+    on("turnStarted", function(e) {
+        if (!isGameOver(game)) narrate(e.energy + " energy. " + surroundings(game));
+    });
+    on("died", function(e) {
+        narrate("You died of starvation on day " + e.level);
+    });
+    on("bumped", function(e) {
+        if (isPlayer(e.id)) narrate("Blocked");
+    });
+    on("ate", function(e) {
+        narrate("Ate, plus " + e.energy + ", " + game.energy + " energy");
+    });
+    on("picked", function(e) {
+        narrate("Picked up a " + e.kind);
+    });
+    on("used", function(e) {
+        var told = e.affected.map(function(id) {
+            var enemy = byId(game.enemies, id);
+            return enemy ? enemyName(enemy) + " " + whereFrom(game, enemy[1], enemy[2]) : null;
+        }).filter(Boolean);
+        narrate("Used the " + e.kind + (e.kind == "ration" ? ", " + game.energy + " energy" : !told.length ? ", no zombie around" :
+            (e.kind == "noisemaker" ? ", coming to have a look: " : ", stunned: ") + told.join(", ")));
+    });
+    on("wallDamaged", function(e) {
+        if (isPlayer(e.by)) narrate("Wall cracked, " + e.hitPoints + " more");
+    });
+    on("wallDestroyed", function(e) {
+        if (isPlayer(e.by)) narrate("Wall down");
+    });
+    on("playerHit", function(e) {
+        var enemy = byId(game.enemies, e.by);
+        narrate((enemy ? "The " + enemyName(enemy) : "A zombie") + " hits you for " + e.damage + ", " + Math.max(0, e.energy) + " energy left");
+    });
+    on("enemyHit", function(e) {
+        if (e.health > 0) narrate("You punch it, " + e.health + " more");
+    });
+    on("enemyKilled", function() {
+        narrate("Zombie down");
+    });
+    on("spotted", function(e) {
+        var enemy = byId(game.enemies, e.id);
+        if (!enemy) return;
+        narrate("A " + enemyName(enemy) + (e.chase ? " spotted you and gives chase, " : " noticed you, ") + whereFrom(game, enemy[1], enemy[2]));
+    });
+    on("lost", function() {
+        narrate("A zombie lost your track");
+    });
+    on("dayCleared", function() {
+        narrate("Exit reached");
+    });
+}
+
+// --------------------------------------------------------------------------------------
+// Achievements: unlocked once and for all (kept under ACHIEVEMENTS_KEY), hooked to the event bus.
+// Replays and levels tried from the editor don't count.
+
+var ACHIEVEMENTS = [
+        ["unseen", "Ghost", "clear a day without any zombie noticing you"],
+        ["walls", "Demolition", "knock down 10 walls in one run"],
+        ["day10", "Veteran", "reach day 10"],
+        ["edge", "On the edge", "finish a day with exactly 1 energy"],
+        ["zeta", "Thick skinned", "survive a hit from a Zeta zombie"]
+    ],
+    ACHIEVEMENTS_KEY = "rs13k.achievements", unlocked = {}, toasts = 0,
+    daySpotted = true; // unknown when a run is continued
+
+function loadAchievements() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+        if (saved && typeof saved == "object") return saved;
+    } catch (e) {}
+    return {};
+}
+
+function unlock(id) {
+    if (unlocked[id] || runIsReplay || testing) return;
+    unlocked[id] = new Date().toISOString().slice(0, 10);
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlocked));
+    } catch (e) {}
+    var a = ACHIEVEMENTS.filter(function(a) {
+        return a[0] == id;
+    })[0];
+    toast("Achievement: " + a[1]);
+    playSound(5);
+}
+
+function hookAchievements() {
+    unlocked = loadAchievements();
+    on("dayStarted", function(e) {
+        daySpotted = false;
+        if (e.level >= 10) unlock("day10");
+    });
+    on("spotted", function() {
+        daySpotted = true;
+    });
+    on("dayCleared", function() {
+        if (!daySpotted) unlock("unseen");
+        if (game.energy == 1) unlock("edge");
+    });
+    on("wallDestroyed", function(e) {
+        if (e.by == game.player[0] && game.stats.walls >= 10) unlock("walls");
+    });
+    on("playerHit", function(e) {
+        var enemy = byId(game.enemies, e.by);
+        if (enemy && enemy[6] == enemyTiles[1] && e.energy > 0) unlock("zeta");
+    });
+}
+
+// A message over the board for a couple of seconds, under the ones still showing
+function toast(text) {
+    var el = create("div");
+    css(el, {position: "absolute", left: "0px", right: "0px", top: 40 + toasts * 28 + "px", textAlign: "center", zIndex: 9});
+    el.innerHTML = "<span style='background:#000;color:#fd0;padding:4px 8px'>" + text + "</span>";
+    screen.appendChild(el);
+    toasts++;
+    setTimeout(function() {
+        toasts--;
+        if (el.parentNode) remove(el);
+    }, 2500);
+}
+
+function achievementsList() {
+    var rows = ACHIEVEMENTS.map(function(a) {
+        return (unlocked[a[0]] ? "<span style='color:#fd0'>* " + a[1] + "</span> " + unlocked[a[0]].slice(5) : "- " + a[1]) + "\n   " + a[2];
+    });
+    return "<p class='small' style='top:20px;font-size:11px;line-height:18px;white-space:pre;text-align:left;padding-left:8px'>" +
+        "ACHIEVEMENTS\n\n" + rows.join("\n") + "\n\n  press any key</p>";
+}
+
+function unlockedCount() {
+    return ACHIEVEMENTS.filter(function(a) {
+        return unlocked[a[0]];
+    }).length;
+}
+
+// --------------------------------------------------------------------------------------
+// Replays: a run is its seed, mode and every move the player made, as "<REPLAY_TAG>:<seed>:<mode>:<moves>".
+// Everything else (boards, enemy decisions, rolls) comes back from the seeded PRNG.
+
+function exportReplay() {
+    prompt("Copy this replay and share it", [REPLAY_TAG, game.seed, game.mode, game.moves].join(":"));
+}
+
+function importReplay() {
+    var text = prompt("Paste a replay");
+    if (!text) return;
+    var m = new RegExp("^" + REPLAY_TAG + ":(\\d+):(\\w+):([lrudw1-4]*)$").exec(text.trim());
+    if (!m) {
+        alert("That doesn't look like a replay");
+        return;
+    }
+    if (!difficulty[m[2]]) {
+        alert("That replay was played in an unknown mode: " + m[2]);
+        return;
+    }
+    startReplay(+m[1], m[3], m[2]);
+}
+
+// Watching a replay runs the real game loop, handleKeys() just takes its moves from the recording
+function startReplay(seed, moves, mode) {
+    replay = {seed: seed, moves: moves, mode: mode, at: 0};
+    gameIsOver = false;
+    gameState = SI;
+}
+
+// Out of moves (or cancelled): the player takes over from here
+function stopReplay() {
+    replay = null;
+    gameSpeed = playSpeed;
+    score.update();
+}
+
+function setReplaySpeed(speed) {
+    gameSpeed = speed;
+    score.update();
+}
+
+// --------------------------------------------------------------------------------------
+// Level editor: paints a text map (see parseMap) with the game's own sprites, and plays it right away
+
+function newEditor(columns, rows) {
+    var ed = {day: IL, story: "", props: {}, grid: [], brush: 0, selected: null, painting: false};
+    for (var y=0; y<rows+2; y++) {
+        ed.grid.push([]);
+        for (var x=0; x<columns+2; x++) {
+            ed.grid[y].push(x == 0 || y == 0 || x == columns+1 || y == rows+1 ? "#" : ".");
+        }
+    }
+    ed.grid[rows][1] = "@";
+    ed.grid[1][columns] = "E";
+    return ed;
+}
+
+function openEditor() {
+    cancelTurns();
+    editor = editor || newEditor(8, 8);
+    testing = false;
+    replay = null;
+    gameIsOver = false;
+    if (score && score.parentNode) remove(score);
+    clearFog();
+    drawEditor();
+    makeEditorPanel();
+    screen.style.display = "block";
+    title.style.display = "none";
+    editorPanel.style.display = "block";
+    gameState = SE;
+}
+
+function closeEditor() {
+    editorPanel.style.display = "none";
+    releaseSprites();
+    gameState = SM;
+}
+
+// One floor and one object sprite per cell, refreshed in place while painting
+function drawEditor() {
+    releaseSprites();
+    var rows = editor.grid.length - 2, columns = editor.grid[0].length - 2;
+    fitScreen(columns, rows);
+    editor.grid.forEach(function(row, y) {
+        row.forEach(function(c, x) {
+            ["b", "o"].forEach(function(layer) {
+                var spr = takeSprite("cell");
+                spr.at(x-1, y-1);
+                drawItem(spr);
+                sprites[layer + x + "," + y] = spr;
+            });
+            drawEditorCell(x, y);
+        });
+    });
+}
+
+function drawEditorCell(x, y) {
+    var c = editor.grid[y][x], props = editor.props[(x-1) + "," + (y-1)] || {},
+        floor = sprites["b" + x + "," + y], obj = sprites["o" + x + "," + y], tile = {f: 19, s: 18, z: 6, Z: 12, E: 20, "@": 0}[c];
+    floor.bI(c == "#" ? 21 : 31);
+    if (c == "w") tile = wallTiles[(props.tile || 1) - 1] + (props.hp == 1 ? 15 : 0); // damaged look for 1 hp
+    if (tile === undefined) {
+        obj.hi();
+    } else {
+        obj.bI(tile);
+        obj.sh();
+    }
+}
+
+// x, y are grid cells, the outer walls included
+function paintCell(x, y) {
+    var rows = editor.grid.length - 2, columns = editor.grid[0].length - 2, key = (x-1) + "," + (y-1);
+    if (x < 0 || y < 0 || x > columns+1 || y > rows+1) return;
+    if (editor.brush < 0) {
+        editor.selected = MAP_PROPS[editor.grid[y][x]] ? [x, y] : null;
+        makeEditorPanel();
+        return;
+    }
+    var b = EDITOR_PALETTE[editor.brush];
+    if (x == 0 || y == 0 || x == columns+1 || y == rows+1) return; // the outer walls stay
+    if (b[0] == "@" || b[0] == "E") { // only one of each: the old one becomes floor
+        editor.grid.forEach(function(row, oy) {
+            row.forEach(function(c, ox) {
+                if (c == b[0]) {
+                    row[ox] = ".";
+                    drawEditorCell(ox, oy);
+                }
+            });
+        });
+    }
+    if (editor.grid[y][x] != b[0]) delete editor.props[key];
+    editor.grid[y][x] = b[0];
+    if (b[2]) editor.props[key] = Object.assign(editor.props[key] || {}, {tile: b[2]});
+    drawEditorCell(x, y);
+}
+
+function editorMouse(e) {
+    if (gameState != SE) return;
+    var r = screen.getBoundingClientRect(), t = e.touches ? e.touches[0] : e;
+    if (e.type == "mousedown" || e.type == "touchstart") editor.painting = true;
+    if (!editor.painting) return;
+    e.preventDefault();
+    var k = r.width / screen.offsetWidth || 1; // scaled by the canvas renderer
+    paintCell((t.clientX - r.left) / k / SYS_spriteParams.w | 0, (t.clientY - r.top) / k / SYS_spriteParams.h | 0);
+}
+
+// Keeps what fits of the old grid when the board is made bigger or smaller
+function resizeEditor(dc, dr) {
+    var old = editor.grid, columns = old[0].length - 2 + dc, rows = old.length - 2 + dr;
+    if (columns < 3 || rows < 3 || columns > EDITOR_MAX[0] || rows > EDITOR_MAX[1]) return;
+    var ed = newEditor(columns, rows);
+    for (var y=1; y<=rows; y++) {
+        for (var x=1; x<=columns; x++) {
+            ed.grid[y][x] = y < old.length-1 && x < old[0].length-1 ? old[y][x] : ".";
+        }
+    }
+    for (var k in editor.props) {
+        var p = k.split(",");
+        if (+p[0] < columns && +p[1] < rows) ed.props[k] = editor.props[k];
+    }
+    ed.day = editor.day;
+    ed.story = editor.story;
+    ed.brush = editor.brush;
+    editor = ed;
+    drawEditor();
+    makeEditorPanel();
+}
+
+function editorText() {
+    var lines = ["day: " + editor.day];
+    if (editor.story) lines.push("story: " + editor.story);
+    for (var k in editor.props) {
+        var p = editor.props[k], values = [];
+        for (var n in p) values.push(n + "=" + p[n]);
+        if (values.length) lines.push("set: " + k + " " + values.join(" "));
+    }
+    return lines.concat(editor.grid.map(function(row) {
+        return row.join("");
+    })).join("\n");
+}
+
+function exportLevel() {
+    prompt("Copy this level", editorText());
+}
+
+function importLevel() {
+    var text = prompt("Paste a level");
+    if (!text) return;
+    try {
+        var map = parseMap(text);
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+    editor = {day: map.day, story: map.story || "", props: {}, brush: editor.brush, selected: null, painting: false,
+        grid: map.grid.map(function(row) {
+            return row.split("");
+        })
+    };
+    map.props.forEach(function(p) {
+        editor.props[p.x + "," + p.y] = Object.assign(editor.props[p.x + "," + p.y] || {}, p.values);
+    });
+    drawEditor();
+    makeEditorPanel();
+}
+
+// Test play: a run of the editor's map on its day, back to the editor once it's over
+function playLevel() {
+    var text = editorText();
+    try {
+        var map = parseMap(text);
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+    releaseSprites();
+    game = newRun(Math.random() * 4294967296 >>> 0, {map: text});
+    game.level = map.day;
+    game = newDay(game);
+    init();
+    editorPanel.style.display = "none";
+    testing = true;
+    runIsReplay = false;
+    isPlayerTurn = true;
+    isPlayerMoving = false;
+    dayCleared = false;
+    turnSaved = true;
+    gameState = SP;
+}
+
+// Palette, properties of the selected cell, day and story, size and the buttons, under the board
+function makeEditorPanel() {
+    if (!editorPanel) {
+        editorPanel = create("div", "editor");
+        css(editorPanel, {position: "relative", width: "320px", color: "#FFF", backgroundColor: "#464646", fontSize: "12px", padding: "4px 0", display: "none"});
+        $("wrapper").insertBefore(editorPanel, padEl);
+        editorPanel.onclick = onEditorClick;
+        editorPanel.onchange = onEditorChange;
+    }
+    var sel = editor.selected, palette = create("div"),
+        html = "<a data-ed='sel' style='color:" + (editor.brush < 0 ? "#fd0" : "#FFF") + "'>[select]</a> ";
+    if (sel) {
+        var key = (sel[0]-1) + "," + (sel[1]-1), props = editor.props[key] || {};
+        html += key + ": " + MAP_PROPS[editor.grid[sel[1]][sel[0]]].map(function(k) {
+            return k + " <input data-prop='" + k + "' size='2' value='" + (props[k] || "") + "' placeholder='auto'>";
+        }).join(" ");
+    } else {
+        html += "pick a wall, food or enemy to change it";
+    }
+    html += "<br/>day <input data-ed='day' size='2' value='" + editor.day + "'> story <input data-ed='story' size='20' value='" +
+        editor.story.replace(/'/g, "&#39;") + "'><br/>" +
+        "columns <a data-ed='c-'>[-]</a> " + (editor.grid[0].length-2) + " <a data-ed='c+'>[+]</a> " +
+        "rows <a data-ed='r-'>[-]</a> " + (editor.grid.length-2) + " <a data-ed='r+'>[+]</a><br/>" +
+        ["play", "export", "import", "clear", "back"].map(function(b) {
+            return "<a data-ed='" + b + "'>[" + b + "]</a>";
+        }).join(" ");
+    editorPanel.innerHTML = html;
+    css(palette, {position: "relative", height: "64px"});
+    editorPanel.insertBefore(palette, editorPanel.firstChild);
+    EDITOR_PALETTE.forEach(function(b, i) {
+        var spr = makeSprite(Object.assign({}, SYS_spriteParams, {t: palette}));
+        spr.bI(b[1]);
+        spr.dw(i % 10 * 32, (i / 10 | 0) * 32);
+        if (i == editor.brush) palette.lastChild.style.outline = "2px solid #fd0";
+        palette.lastChild.setAttribute("data-brush", i);
+    });
+}
+
+function onEditorClick(e) {
+    var brush = e.target.getAttribute("data-brush"), cmd = e.target.getAttribute("data-ed");
+    if (brush !== null) {
+        editor.brush = +brush;
+        editor.selected = null;
+    }
+    if (cmd == "sel") editor.brush = -1;
+    if (cmd == "c-" || cmd == "c+") return resizeEditor(cmd == "c+" ? 1 : -1, 0);
+    if (cmd == "r-" || cmd == "r+") return resizeEditor(0, cmd == "r+" ? 1 : -1);
+    if (cmd == "play") return playLevel();
+    if (cmd == "export") exportLevel();
+    if (cmd == "import") return importLevel();
+    if (cmd == "clear") {
+        editor = newEditor(editor.grid[0].length-2, editor.grid.length-2);
+        drawEditor();
+    }
+    if (cmd == "back") return closeEditor();
+    if (brush !== null || cmd) makeEditorPanel();
+}
+
+function onEditorChange(e) {
+    var prop = e.target.getAttribute("data-prop"), cmd = e.target.getAttribute("data-ed"), v = e.target.value.trim();
+    if (prop) {
+        var sel = editor.selected, key = (sel[0]-1) + "," + (sel[1]-1), props = editor.props[key] = editor.props[key] || {};
+        if (/^\d+$/.test(v) && +v > 0) {
+            props[prop] = +v;
+        } else {
+            delete props[prop];
+            e.target.value = "";
+        }
+        drawEditorCell(sel[0], sel[1]);
+    }
+    if (cmd == "day") editor.day = Math.max(IL, parseInt(v) || IL);
+    if (cmd == "story") editor.story = v.replace(/\n/g, " ");
+}
+
+// --------------------------------------------------------------------------------------
+
+function drawItem(spr) {
+    var p = spr.xy();
+    spr.dw((p[0]+1)*SYS_spriteParams.w, (p[1]+1)*SYS_spriteParams.h);
+}
+
+// The "!" over an enemy's head: blinking when it starts a chase, steady when it's only suspicious
+function launchDetectIcon(id, blink) {
+    if (detections.some(function(d) {
+        return d.id == id;
+    })) return;
+    var spr = takeSprite("icon"), icon = {id: id, spr: spr};
+    spr.bI(46);
+    spr.aA({i: blink ? [1, 0] : [1], v: 8});
+    spr.cA("i");
+    detections.push(icon);
+    later(function() {
+        if (detections.indexOf(icon) < 0) return; // gone with its day already
+        freeSprite(spr);
+        detections.splice(detections.indexOf(icon), 1);
+    }, 1000);
+}
+
+// Turn scheduler: turns are queued with schedule() and played strictly one after the other, each a function
+// returning a promise that settles when its last animation really ends. cancelTurns() (game over, a new day,
+// the editor) empties the queue and makes the pending waits reject, so nothing from an old turn fires late.
+function schedule(turn) {
+    turnQueue.push(turn);
+    if (!turnRunning) runTurns();
+}
+
+function runTurns() {
+    var turn = turnQueue.shift(), gen = turnGen;
+    turnRunning = !!turn;
+    if (!turn) return;
+    Promise.resolve().then(turn).then(function() { // a turn throwing right away rejects too
+        if (gen == turnGen) runTurns();
+    }, function(e) {
+        if (e === CANCELLED) return;
+        if (gen == turnGen) { // a bug in a turn: drop it and hand the controls back rather than wait forever
+            cancelTurns();
+            isPlayerTurn = true;
+            isPlayerMoving = false;
+        }
+        setTimeout(function() {
+            throw e;
+        });
+    });
+}
+
+function cancelTurns() {
+    turnGen++;
+    turnQueue = [];
+    turnRunning = false;
+    animating = false;
+    waits.forEach(function(w) {
+        w.reject(CANCELLED);
+    });
+    waits = [];
+}
+
+// Resolves once the animations have played for ms more: updateLoop() counts it down with the same time that
+// slides the sprites, so a slide and its wait end on the same frame. INSTANT skips the animations, it only
+// lets the browser breathe. Rejects with CANCELLED if the turns get cancelled meanwhile.
+function wait(ms) {
+    var gen = turnGen;
+    return new Promise(function(resolve, reject) {
+        if (gameSpeed != INSTANT) return waits.push({left: ms, resolve: resolve, reject: reject});
+        setTimeout(function() {
+            if (gen == turnGen) {
+                resolve();
+            } else {
+                reject(CANCELLED);
+            }
+        });
+    });
+}
+
+// What goes on by itself next to the turns (blinks, icons, the day's title), on their clock and dropped with them
+function later(f, ms) {
+    wait(ms).then(f, function() {});
+}
+
+// The player's action, then every enemy's (last spawned first), then the player's turn again
+function playerTurn(dir) {
+    return playAction(["p", dir]).then(function() {
+        emit("turnPlayed", {moves: game.moves.length});
+        if (dayCleared) {
+            isPlayerTurn = true; // no more moves (isPlayerMoving stays on) until the next day starts
+            return wait(1000).then(function() {
+                if (testing) return openEditor();
+                game = leaveDay(game);
+                gameState = STS;
+            });
+        }
+        return wait(250).then(enemyTurns);
+    });
+}
+
+function enemyTurns() {
+    isPlayerTurn = false;
+    isPlayerMoving = false;
+    return game.enemies.map(function(e) {
+        return e[0];
+    }).reverse().reduce(function(done, id) {
+        return done.then(function() {
+            return wait(250);
+        }).then(function() {
+            return playAction(["e", id]);
+        });
+    }, Promise.resolve()).then(function() {
+        isPlayerTurn = true;
+        emit("turnStarted", {energy: game.energy});
+    });
+}
+
+// Runs an action through the rules, then animates the resulting events one after the other
+function playAction(action) {
+    var res = step(game, action);
+    game = res.state;
+    return res.events.reduce(function(done, ev) {
+        return done.then(function() {
+            animating = true;
+            var ms = showEvent(ev);
+            if (ms) return wait(ms).then(endCharacterMove);
+        });
+    }, Promise.resolve()).then(function() {
+        animating = false;
+    });
+}
+
+// Plays a single event on the sprites, returns how long to wait before the next one
+function showEvent(ev) {
+    var spr = sprites[ev[1]];
+    switch (ev[0]) {
+        case "move":
+            spr.diff(ev[4] - ev[2], ev[5] - ev[3]);
+            emit("moved", {id: ev[1], player: ev[1] == game.player[0], from: [ev[2], ev[3]], to: [ev[4], ev[5]]});
+            return 500;
+
+        case "bump":
+            emit("bumped", {id: ev[1]});
+            return 500;
+
+        case "wait":
+            return 500;
+
+        case "attack":
+            var target = sprites[ev[2]], isPlayerHit = ev[2] == game.player[0];
+            if (isPlayerHit) {
+                target.cA("d");
+                emit("playerHit", {by: ev[1], damage: ev[3], energy: game.energy});
+            } else {
+                if (ev[3] == 1) target.cI(target.i() + 15);
+                if (ev[3] <= 0) {
+                    freeSprite(target);
+                    delete sprites[ev[2]];
+                    emit("wallDestroyed", {id: ev[2], by: ev[1]});
+                } else {
+                    emit("wallDamaged", {id: ev[2], by: ev[1], hitPoints: ev[3]});
+                }
+            }
+            spr.cA("a");
+            later(function() {
+                spr.cA("i");
+                if (isPlayerHit) target.cA("i");
+            }, 500);
+            return 1000;
+
+        case "hit":
+            var enemy = sprites[ev[2]];
+            spr.cA("a"); // chop
+            blink(ev[2], ev[3] > 0 ? 2 : 6, function() {
+                if (ev[3] > 0) return;
+                freeSprite(enemy);
+                delete sprites[ev[2]];
+            });
+            later(function() {
+                spr.cA("i");
+            }, 500);
+            emit("enemyHit", {id: ev[2], health: ev[3]});
+            if (ev[3] <= 0) emit("enemyKilled", {id: ev[2]});
+            return 1000;
+
+        case "eat":
+        case "pick":
+            freeSprite(spr);
+            delete sprites[ev[1]];
+            if (ev[0] == "eat") {
+                emit("ate", {id: ev[1], energy: ev[2]});
+            } else {
+                emit("picked", {id: ev[1], kind: ev[2]});
+            }
+            return 0;
+
+        case "use":
+            ev[3].forEach(function(id) {
+                if (sprites[id]) blink(id, 2, function() {});
+            });
+            emit("used", {kind: ev[2], affected: ev[3]});
+            return 500;
+
+        case "stunned":
+            emit("stunned", {id: ev[1]});
+            return 250;
+
+        case "spot":
+        case "suspect":
+            emit("spotted", {id: ev[1], chase: ev[0] == "spot"});
+            return 0;
+
+        case "lose":
+            emit("lost", {id: ev[1]});
+            return 0;
+
+        case "exit":
+            dayCleared = true;
+            emit("dayCleared", {level: game.level});
+            return 0;
+    }
+    return 0;
+}
+
+// Hurt enemies blink, dying ones blink a while longer before they are gone
+// Blinks the sprite of an entity, one the fog hides (see updateFog) stays hidden
+function blink(id, times, done) {
+    var spr = sprites[id];
+    if (!times) return done();
+    if (times % 2) {
+        if (!fogHidden[id]) spr.sh();
+    } else {
+        spr.hi();
+    }
+    later(function() {
+        blink(id, times-1, done);
+    }, 100);
+}
+
+function checkGameOver() {
+    if (isGameOver(game)) {
+        cancelTurns();
+        gameIsOver = true;
+        emit("died", {level: game.level, maxEnergy: game.maxEnergy, kills: game.stats.kills});
+        gameState = SG;
     }
 }
 
 function gameLoop() {
     var newTime = +new Date();
-    var elapsed = newTime - oldTime;
+    var elapsed = Math.min((newTime - oldTime) * gameSpeed, 500); // faster speeds, no more than a whole slide
     oldTime = newTime;
     
     switch (gameState) {
         case SIM:
-            title.innerHTML = "<p>ROGUE SCAVENGER 13K</p>";
+            showTitle("<p>ROGUE SCAVENGER 13K</p>");
             screen.style.display = "none";
             title.style.display = "block";
-            raf(gameLoop);
+            nextFrame();
+            return;
+            break;
+
+        case SHS:
+            showTitle(scoresTable());
+            screen.style.display = "none";
+            title.style.display = "block";
+            nextFrame();
+            return;
+            break;
+
+        case SA:
+            showTitle(achievementsList());
+            screen.style.display = "none";
+            title.style.display = "block";
+            nextFrame();
+            return;
+            break;
+
+        case SK:
+            showTitle(controlsScreen());
+            screen.style.display = "none";
+            title.style.display = "block";
+            nextFrame();
+            return;
+            break;
+
+        case SE: // the editor only needs the sprites drawn
+            break;
+
+        case SV:
+            showTitle(soundScreen());
+            screen.style.display = "none";
+            title.style.display = "block";
+            nextFrame();
+            return;
+            break;
+
+        case SM:
+            showTitle("<p>ROGUE SCAVENGER 13K</p><p class='small'><a data-key='78'>N: new game</a><br/>" +
+                (savedRun ? "<a data-key='67'>C: continue day " + savedRun.level + "</a><br/>" : "") +
+                "<a data-key='72'>H: hall of fame</a><br/><a data-key='65'>A: achievements " + unlockedCount() + "/" + ACHIEVEMENTS.length + "</a><br/><a data-key='82'>R: watch a replay</a><br/><a data-key='75'>K: controls</a><br/><a data-key='86'>V: sound</a><br/><a data-key='71'>G: " + mode + " game</a><br/><a data-key='69'>E: level editor</a><br/><a data-key='70'>F: fog of war " + (fog ? "on" : "off") + "</a><br/><a data-key='84'>T: turns " + speedName(playSpeed) + "</a><br/><a data-key='76'>L: narration " + NARRATION_NAMES[narration] + "</a></p>");
+            screen.style.display = "none";
+            title.style.display = "block";
+            nextFrame();
             return;
             break;
             
         case SI: 
             gameIsOver = false;
-            isPlayerDetectedBy = null;
-            currentEnergy = maxEnergy = initialEnergy;
-            level = IL;
-            init();
+            if (!replay) { // a new run of our own takes the place of the saved one right away
+                clearRun();
+                savedRun = null;
+                turnSaved = false;
+            }
+            var seed = replay ? replay.seed : urlSeed();
+            if (seed === null) seed = Math.random() * 4294967296 >>> 0;
+            game = newRun(seed, {mode: replay ? replay.mode : mode});
+            runIsReplay = !!replay;
             gameState = STS;
             break;
 
         case SP:
             if (isPlayerTurn && !isPlayerMoving) {
-                checkMaxEnergy();
                 checkGameOver();
-                handleKeys();
-            } else if (!isPlayerTurn && !isEnemyMoving) {
-                var enemy = enemiesToMove.pop();
-                if (enemy) {
-                    pause(function() {
-                        decideMovement(enemy);
-                    }, 250);
-                    isEnemyMoving = true;
-                } else {
-                    isPlayerTurn = true;
+                if (runIsReplay || testing) {
+                    // watching someone else's run (or playing the editor's level) never touches our own save
+                } else if (gameIsOver) {
+                    clearRun();
+                } else if (!turnSaved) {
+                    saveRun(); // autosave
+                    turnSaved = true;
                 }
+                if (!gameIsOver) handleKeys(); // a key pressed on the last turn must not start another
             }
-
             break;
 
         case STS:
             /*
-            https://developer.mozilla.org/en-US/docs/Web/API/Window/speechSynthesis
-            https://developer.mozilla.org/en-US/docs/Web/API/SpeechSynthesis
-            
             https://twitter.com/intent/tweet?url=http%3A%2F%2Fmydomain%2F%3Fparam1%3Dsomething%26param2%3Dsomtehing%26param3%3Dsomething&text=hola%20caracola
             */
-            var synth = window.speechSynthesis;
-            pause(function() {
-                var voices = synth.getVoices();
-                var selected = 0;
-                voices.forEach(function(v, i) {
-                    if (v.lang.indexOf("en") >= 0 && v.name == "Google UK English Male") {
-                        selected = i;
-                    }
-                });
-                var utter = new SpeechSynthesisUtterance("Day " + level + ". " + (storyline[level-1] || ""));
-                utter.voice = voices[selected];  // 9 es graciosa
-                utter.pitch = 0.5;
-                utter.rate = 0.8;
-                synth.speak(utter);
-            }, 500);
+            var level = game.level;
+            emit("dayStarted", {level: level, story: dayStory(game.mode, level), mode: game.mode});
             
-            title.innerHTML = "<p>DAY " + level + ".</p><p class='small'>"+(storyline[level-1] || "")+"</p>";
+            showTitle("<p>DAY " + level + ".</p><p class='small'>" + dayStory(game.mode, level) + "</p><p class='small'>seed " + game.seed + (game.mode != "normal" ? ", " + game.mode : "") + "</p>");
             screen.style.display = "none";
             title.style.display = "block";
             gameState = SS;
-            pause(function() {
+            later(function() {
+                game = newDay(game);
                 init();
                 screen.style.display = "block";
                 title.style.display = "none";
+                isPlayerTurn = true;
+                isPlayerMoving = false;
+                dayCleared = false;
                 gameState = SP;
+                emit("turnStarted", {energy: game.energy});
             }, 2500);
             break;
 
@@ -1069,9 +3326,12 @@ function gameLoop() {
             break;
 
         case SG:
-            var outcome = (level >= l) ?  categories[l-1] : categories[level] || categories[0];
+            var level = game.level;
+            var outcome = categories[Math.min(level, categories.length - 1)] || categories[0];
             var twTxt = "I died of starvation after " + level + " days of zombie apocalypse. I am a " + outcome + " scavenger.";
-            title.innerHTML = "<p>You DIED</p><p class='small'>of starvation after " + level + " days.<br/>You managed to have " + maxEnergy + " food.<br/>"+outcome+" scavenger.<br/><a href='https://twitter.com/intent/tweet?url=http://www.js13kgames.com/rogue-scavenger13k&text=" + twTxt + "' target='_blank'>TWEET IT!</a></p>";
+            lastRank = runIsReplay || testing ? -1 : recordScore();
+            var record = lastRank == 0 ? "<span style='color:#fd0'>NEW RECORD!</span><br/>" : lastRank > 0 ? "#" + (lastRank+1) + " in the hall of fame<br/>" : "";
+            showTitle("<p>You DIED</p><p class='small'>of starvation after " + level + " days.<br/>You managed to have " + game.maxEnergy + " food.<br/>"+outcome+" scavenger.<br/>" + record + "<a href='https://twitter.com/intent/tweet?url=http://www.js13kgames.com/rogue-scavenger13k&text=" + twTxt + "' target='_blank'>TWEET IT!</a><br/><a data-key='82'>R: watch it again</a> <a data-key='88'>X: export replay</a></p>");
             screen.style.display = "none";
             title.style.display = "block";
             gameState = SS;
@@ -1080,142 +3340,401 @@ function gameLoop() {
     updateLoop(elapsed);
     drawLoop();
     
-    raf(gameLoop);
+    nextFrame();
 }
 
-function gameCallback(msg) {
-    //if (gameOverFlag) return;
+// Waiting for a key with nothing sliding only needs the slow idle animations: a few frames a second will do
+function nextFrame() {
+    var idle = !animating && !replay && (gameState != SP || isPlayerTurn && !isPlayerMoving);
+    if (idle) {
+        setTimeout(function() {
+            raf(gameLoop);
+        }, IDLE_FRAME);
+    } else {
+        raf(gameLoop);
+    }
+}
 
-    switch (msg) {
-        case EPEM:
-            currentEnergy--;
+function updateLoop(dt) {
+    waits = waits.filter(function(w) {
+        w.left -= dt;
+        if (w.left <= 0) w.resolve();
+        return w.left > 0;
+    });
+    for (var id in sprites) {
+        var spr = sprites[id];
+        if (!spr.v()) continue; // only characters are animated
+        spr.mv(dt);
+        if (animating) {
+            var diff = spr.dxy(), p = spr.xy();
+            spr.at(p[0] + diff[0] * dt, p[1] + diff[1] * dt);
+        }
+    }
+    
+    detections.forEach(function(d) {
+        d.spr.mv(dt);
+    });
+}
 
-            var isExit = checkCurrentTile();
+function handleKeys() {
+    var dir = nextMove();
+    if (dir == "n") { // picking another item takes no turn
+        selectedItem = game.items.length ? (selectedItem + 1) % game.items.length : 0;
+        score.update();
+        return;
+    }
+    if (dir == "t") { // nor does describing the board
+        describe();
+        return;
+    }
+    if (dir == "i") {
+        if (!game.items.length) return;
+        dir = String(selectedItem + 1);
+    }
+    if (!dir) return;
+    isPlayerMoving = true;
+    turnSaved = false;
+    schedule(function() {
+        return playerTurn(dir);
+    });
+}
 
-            if (isExit) {
-                isPlayerTurn = true;
-                isPlayerMoving = false;
-                isPlayerDetectedBy = null;
-                soundLib[5].play();
-                pause(function() {
-                    level++;
-                    gameState = STS;
-                }, 1000);
-            } else {
-                pause(function() {
-                    isPlayerTurn = false;
-                    isPlayerMoving = false;
-                    enemiesToMove = enemies.slice(0);
-                }, 250);
-            }
-            score.update();
-            break;
+function nextMove() {
+    if (replay) {
+        if (replay.at < replay.moves.length) return replay.moves[replay.at++];
+        stopReplay();
+    }
+    var action = queued;
+    queued = "";
+    if (action) return action;
+    for (var i=0; i<5; i++) {
+        if (held[ACTIONS[i]]) return ACTIONS[i];
+    }
+    return "";
+}
 
-        case EEEM:
-            isEnemyMoving = false;
-            break;
+// Snaps every character sprite to its position in the state once it's done sliding
+function endCharacterMove() {
+    animating = false;
+    game.enemies.concat([game.player]).forEach(function(char) {
+        var spr = sprites[char[0]];
+        spr.diff(0, 0);
+        spr.at(char[1], char[2]);
+    });
+}
 
-        case EPD: 
-            currentEnergy -= arguments[1];
-            score.update();
-            break;
+function drawLoop() {
+    if (fog && gameState == SP) updateFog();
+    for (var id in sprites) {
+        if (sprites[id].v()) drawItem(sprites[id]); // enemies and player, the rest never moves once spawned
+    }
+    detections.forEach(function(d) { // detection icons follow their enemy
+        var owner = sprites[d.id], p = owner && !fogHidden[d.id] ? owner.xy() : [-9, -9];
+        d.spr.at(p[0]+.5, p[1]-.5);
+        drawItem(d.spr);
+    });
+    if (canvasLayer) paintCanvas();
+}
 
-        case EWD:
-            for (var q=0; q<objects.length; q++) {
-                var w = objects[q];
-                if (w[3] === "r") { // change any value for "r" and remove
-                    objects.splice(q, 1);
-                    break;
-                }
+function switchMusic() {
+    volumes.music = volumes.music ? 0 : defaultVolumes.music;
+    saveVolumes();
+}
+
+// --------------------------------------------------------------------------------------
+// Input: keys, swipes and the on-screen pad all become game actions, handleKeys() only sees those.
+// Actions: l, r, u, d move, w waits a turn, m toggles music, q restarts the run
+
+// Saved bindings, plus the default keys of actions added since they were saved (if those keys are still free)
+function loadBindings() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(KEYS_KEY));
+        if (saved && typeof saved == "object") {
+            for (var k in defaultBindings) {
+                var a = defaultBindings[k], bound = false;
+                for (var b in saved) bound = bound || saved[b] == a;
+                if (!bound && !saved[k]) saved[k] = a;
             }
-            break;
-    }
+            return saved;
+        }
+    } catch (e) {}
+    return Object.assign({}, defaultBindings);
 }
 
-function updateLoop(dt) {
-    player[0].mv(dt);
-    if (animating) {
-        var diff = player[0].dxy();
-        player[1] += diff[0] * dt;
-        player[2] += diff[1] * dt;
+function saveBindings() {
+    try {
+        localStorage.setItem(KEYS_KEY, JSON.stringify(bindings));
+    } catch (e) {}
+}
+
+// One key per action: the new key replaces whatever the action had, and leaves any other action it was bound to
+function bindKey(code, action) {
+    for (var k in bindings) {
+        if (bindings[k] == action || k == code) delete bindings[k];
     }
-    
-    enemies.forEach(function(e) {
-        e[0].mv(dt);
-        if (animating) {
-            var diff = e[0].dxy();
-            e[1] += diff[0] * dt;
-            e[2] += diff[1] * dt;
+    bindings[code] = action;
+    saveBindings();
+}
+
+function keyName(code) {
+    return {13: "enter", 27: "esc", 32: "space", 37: "\u2190", 38: "\u2191", 39: "\u2192", 40: "\u2193", 190: ".", 191: "/"}[code] || String.fromCharCode(code);
+}
+
+function controlsScreen() {
+    var lines = ACTIONS.map(function(a, i) {
+        var names = [];
+        for (var k in bindings) {
+            if (bindings[k] == a) names.push(keyName(k));
         }
+        return "<a data-key='" + (i < 9 ? 49+i : 48) + "'>" + (i+1) % 10 + " " + ACTION_NAMES[i] + ": " + (names.join(" ") || "-") + "</a>";
     });
-    
-    if (detection) detection[0].mv(dt);
+    return "<p class='small' style='top:8px;line-height:20px'>" +
+        (rebinding ? "press a key for " + ACTION_NAMES[ACTIONS.indexOf(rebinding)].toUpperCase() : "CONTROLS") + "<br/>" +
+        lines.join("<br/>") + "<br/><a data-key='68'>D: defaults</a> <a data-key='80'>P: pad " + (isPadShown() ? "on" : "off") + "</a><br/><a data-key='13'>enter: back</a></p>";
 }
 
-function handleKeys() {
-    isPlayerMoving = true;
-    if (keys[0]) { // left
-        doAnimate(player, "l");
-    } else if (keys[2]) {  // right
-        doAnimate(player, "r");
-    } else if (keys[1]) {  // up
-        doAnimate(player, "u");
-    } else if (keys[3]) {
-        doAnimate(player, "d");
-    } else {
-        isPlayerMoving = false;
+// 1-4 step a bus volume by a quarter, 5 mutes everything
+function soundScreen() {
+    var lines = VOLUME_BUSES.map(function(b, i) {
+        return "<a data-key='" + (49+i) + "'>" + (i+1) + " " + VOLUME_NAMES[i] + ": " + Math.round(volumes[b] * 100) + "%</a>";
+    });
+    return "<p class='small' style='top:40px'>SOUND<br/>" + lines.join("<br/>") +
+        "<br/><a data-key='53'>5 mute: " + (volumes.mute ? "on" : "off") + "</a><br/><a data-key='13'>enter: back</a></p>";
+}
+
+function canRestart() {
+    return gameIsOver || gameState == SP && isPlayerTurn && !isPlayerMoving;
+}
+
+function onKey(e) {
+    var action = gameState == SK || gameState == SV || gameState == SE ? null : bindings[e.keyCode];
+    if (action) e.preventDefault();
+    if (e.type == "keydown") {
+        if (action) held[action] = 1;
+        return;
+    }
+    if (action) held[action] = 0;
+    wakeAudio();
+
+    if (action == "m") switchMusic();
+    if ((action == "i" || action == "n" || action == "t") && gameState == SP) queued = action; // once per key press, not while held
+    if (action == "q" && canRestart() && testing) return openEditor();
+    if (action == "q" && canRestart()) {
+        cancelTurns();
+        replay = null;
+        gameIsOver = false;
+        gameState = SI;
+        return;
     }
+    if (replay) {
+        if (e.keyCode == 49) setReplaySpeed(1); // 1
+        if (e.keyCode == 50) setReplaySpeed(2); // 2
+        if (e.keyCode == 52) setReplaySpeed(4); // 4
+        if (e.keyCode == 48) setReplaySpeed(INSTANT); // 0
+    }
+    menuKey(e.keyCode);
 }
 
-function endCharacterMove(char, x, y) {
-    pause(function() {
-        animating = false;
-        char[0].diff(0, 0);
-        if(x) char[1] = x;
-        if(y) char[2] = y;
-        char[1] = rd(char[1]);
-        char[2] = rd(char[2]);
-        if (char[3] == "p") {
-            gameCallback(EPEM);
+// Keys (or taps, see the title's onclick) for everything out of the turns: menus, game over...
+function menuKey(code) {
+    if (gameIsOver && testing) {
+        openEditor();
+    } else if (gameIsOver) {
+        if (code == 82) { // R
+            startReplay(game.seed, game.moves, game.mode);
+        } else if (code == 88) { // X
+            exportReplay();
         } else {
-            gameCallback(EEEM);
+            replay = null;
+            gameState = SI;
         }
-    }, 500);
+    } else if (gameState == SHS || gameState == SA) {
+        gameState = SM;
+    } else if (gameState == SK) {
+        if (rebinding) {
+            bindKey(code, rebinding);
+            rebinding = null;
+        } else if (code >= 48 && code < 49 + ACTIONS.length - 1) { // 1 to 9, then 0
+            rebinding = ACTIONS[code == 48 ? 9 : code-49];
+        } else if (code == 68) { // D
+            bindings = Object.assign({}, defaultBindings);
+            saveBindings();
+        } else if (code == 80) { // P
+            showPad(!isPadShown());
+        } else if (code == 13) {
+            gameState = SM;
+        }
+    } else if (gameState == SV) {
+        if (code >= 49 && code < 49 + VOLUME_BUSES.length) {
+            var bus = VOLUME_BUSES[code-49];
+            volumes[bus] = volumes[bus] >= 1 ? 0 : Math.min(1, Math.round(volumes[bus] * 4 + 1) / 4);
+            saveVolumes();
+        } else if (code == 53) { // 5
+            volumes.mute = volumes.mute ? 0 : 1;
+            saveVolumes();
+        } else if (code == 13) {
+            gameState = SM;
+        }
+    } else if (gameState == SM) {
+        if (code == 67 && savedRun) continueRun(); // C
+        if (code == 78 || code == 13) gameState = SI; // N
+        if (code == 72) gameState = SHS; // H
+        if (code == 65) gameState = SA; // A
+        if (code == 82) importReplay(); // R
+        if (code == 75) gameState = SK; // K
+        if (code == 86) gameState = SV; // V
+        if (code == 71) mode = MODES[(MODES.indexOf(mode) + 1) % MODES.length]; // G
+        if (code == 69) openEditor(); // E
+        if (code == 70) switchFog(); // F
+        if (code == 76) switchNarration(); // L
+        if (code == 84) gameSpeed = playSpeed = SPEEDS[(SPEEDS.indexOf(playSpeed) + 1) % SPEEDS.length]; // T
+    } else if (gameState == SE) {
+        if (code == 27) closeEditor(); // Esc
+    }
 }
 
-function drawLoop() {
-    board.forEach(drawItem); // draw Board
-    objects.forEach(drawItem); // draw walls and food
-    enemies.forEach(drawItem); // draw enemies
-    drawItem(player); // draw player
-    if (detection) drawItem(detection); // draw detection icon
+function onTitleClick(e) {
+    var key = e.target.getAttribute && e.target.getAttribute("data-key");
+    wakeAudio();
+    menuKey(key ? +key : 13);
 }
 
-function switchMusic() {
-    gainNode.gain.value = gainNode.gain.value == -1 ? -.84 : -1;
+// Swipes on the board move the player
+function onTouchStart(e) {
+    var t = e.changedTouches[0];
+    touchStart = [t.clientX, t.clientY];
+    if (padSetting() === null) showPad(true, true); // a touch screen: show the pad unless told otherwise
 }
 
-var keys = [0, 0, 0, 0];
-document.onkeyup = document.onkeydown = function (e) {
-    e.preventDefault();
-    var code = e.keyCode-37;
-    if (e.type == "keyup") {
-        keys[code] = 0;
-        if (code == 40) switchMusic();
-    } else {
-        keys[code] = 1;
+function onTouchEnd(e) {
+    var t = e.changedTouches[0], dx = t.clientX - touchStart[0], dy = t.clientY - touchStart[1];
+    wakeAudio();
+    if (gameState != SP || Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_DISTANCE) return;
+    queued = Math.abs(dx) > Math.abs(dy) ? (dx < 0 ? "l" : "r") : (dy < 0 ? "u" : "d");
+}
+
+function padSetting() {
+    try {
+        return localStorage.getItem(PAD_KEY);
+    } catch (e) {
+        return null;
     }
-    if (gameIsOver) {
-        pause(gameState = SI, 1000);
+}
+
+function isPadShown() {
+    return padEl.style.display == "block";
+}
+
+// On-screen D-pad below the board, wait is the button in the middle
+function makePad() {
+    padEl = create("div", "pad");
+    css(padEl, {position: "relative", width: "320px", height: "132px", display: "none"});
+    [["u", "\u2191", 136, 0], ["l", "\u2190", 88, 44], ["w", "\u00b7", 136, 44], ["r", "\u2192", 184, 44], ["d", "\u2193", 136, 88],
+        ["i", "E", 248, 44], ["n", "Q", 248, 88]].forEach(function(b) {
+        var btn = padEl.appendChild(create("div"));
+        css(btn, {
+            position: "absolute", left: b[2] + "px", top: b[3] + "px", width: "44px", height: "40px",
+            lineHeight: "40px", textAlign: "center", fontSize: "24px", color: "#FFF",
+            backgroundColor: "#464646", cursor: "pointer", userSelect: "none"
+        });
+        btn.innerHTML = b[1];
+        btn.onmousedown = btn.ontouchstart = function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (gameState == SP) queued = b[0];
+        };
+    });
+    $("wrapper").appendChild(padEl);
+    var setting = padSetting();
+    showPad(setting === "1", true);
+}
+
+function showPad(show, auto) {
+    padEl.style.display = show ? "block" : "none";
+    if (auto) return;
+    try {
+        localStorage.setItem(PAD_KEY, show ? "1" : "0");
+    } catch (e) {}
+}
+
+function continueRun() {
+    game = savedRun;
+    try {
+        init();
+    } catch (e) { // a snapshot that passed validation but still can't be rebuilt
+        clearRun();
+        gameState = SI;
+        return;
     }
+    gameIsOver = false;
+    runIsReplay = false;
+    isPlayerTurn = true;
+    isPlayerMoving = false;
+    dayCleared = false;
+    turnSaved = true;
+    screen.style.display = "block";
+    title.style.display = "none";
+    gameState = SP;
 }
 
-title = $("title");
-screen = $("screen");
-pause(function() {
-    initSound();
-    
-    gameState = SI;
-}, 3500);
+if (typeof document != "undefined") {
+    bindings = loadBindings();
+    volumes = loadVolumes();
+    fog = loadFog();
+    hookEvents();
+    hookAchievements();
+    hookNarration();
+    narration = loadNarration();
+    mode = urlMode() || mode;
+    document.onkeyup = document.onkeydown = onKey;
+    document.addEventListener("touchstart", onTouchStart);
+    document.addEventListener("touchend", onTouchEnd);
+    document.addEventListener("touchmove", function(e) {
+        if (gameState == SP) e.preventDefault(); // swipes are moves, not scrolls
+        editorMouse(e);
+    }, {passive: false});
+    raf = window.requestAnimationFrame;
+    title = $("title");
+    title.setAttribute("aria-live", "polite");
+    title.onclick = onTitleClick;
+    makeLiveRegion();
+    makePad();
+    screen = SYS_spriteParams.t = $("screen");
+    if (urlRenderer() == "canvas") makeCanvas();
+    screen.onmousedown = screen.onmousemove = screen.ontouchstart = editorMouse;
+    ["mouseup", "touchend"].forEach(function(type) {
+        document.addEventListener(type, function() {
+            if (editor) editor.painting = false;
+        });
+    });
+    pause(function() {
+        initSound();
+        
+        savedRun = loadRun();
+        gameState = SM;
+    }, 3500);
 
-gameLoop();
\ No newline at end of file
+    gameLoop();
+}
+
+// Under node only the rules are of any use: simulations, rule tests...
+if (typeof module != "undefined") {
+    module.exports = {
+        makeRandom: makeRandom,
+        newRun: newRun,
+        newDay: newDay,
+        leaveDay: leaveDay,
+        step: step,
+        isGameOver: isGameOver,
+        cheapestRoute: cheapestRoute,
+        difficulty: difficulty,
+        dayRules: dayRules,
+        loadDifficulty: loadDifficulty,
+        parseMap: parseMap,
+        loadCampaign: loadCampaign,
+        sounds: sounds,
+        renderWave: renderWave,
+        SfxrParams: SfxrParams,
+        SfxrSynth: SfxrSynth
+    };
+}